@@ -1,189 +1,185 @@
 import chalk from "chalk";
-import fs from "fs";
-import path from "path";
-import { Agent } from "./agents.js";
-
-// Configuration
-const VIEWER_LOGS_DIR = path.resolve("../results-viewer/public/logs");
-
-// Models
-const MODELS = {
-  OPUS_4_5: "claude-opus-4-5-20251101",
-  HAIKU_4_5: "claude-haiku-4-5-20251001",
-  SONNET_4_5: "claude-sonnet-4-5-20250929"
-};
-
-async function runMatch(runId) {
-  console.log(chalk.cyan(`\nStarting Match ${runId}...`));
-
-  // Setup Scenario
-  const item = "Vintage Rolex Watch";
-  const trueValue = 38000;
-  // +/- 10%
-  const sellerEst = Math.round(trueValue * (1 + (Math.random() * 0.2 - 0.1)));
-  const buyerEst = Math.round(trueValue * (1 + (Math.random() * 0.2 - 0.1)));
-
-  console.log(chalk.gray(`Item: ${item} | True Val: $${trueValue}`));
-  console.log(
-    chalk.gray(`Seller Est: $${sellerEst} | Buyer Est: $${buyerEst}`),
-  );
-
-  // specific requests: Opus 4.5 vs Haiku 4.5
-  // Let's randomize who is buyer/seller or fix it?
-  // MVP: Match 1 -> Opus Seller, Haiku Buyer.
-  // We can swap in typical tournament fashion. For MVP, let's do one focused config per run call.
-
-  // Config: Buyer = Opus, Seller = Haiku
-  const seller = new Agent(
-    "Opus 4.5",
-    MODELS.OPUS,
-    "seller",
-    item,
-    sellerEst 
-  );
-  const buyer = new Agent(
-    "Haiku 4.5",
-    MODELS.HAIKU,
-    "buyer",
-    item,
-    buyerEst
-  );
-
-  let turns = 0;
-  const maxTurns = 12; // 6 turns per agent x 2 agents = 12 total messages.
-  let dealReached = false;
-  let dealPrice = null;
-  let logs = [];
-
-  // Conversation State
-  let lastMessage =
-    "The negotiation has started. Please make your opening statement.";
-  let lastOffer = null;
-  // Usually Buyer starts asking price, or Seller lists price.
-  // Let's have Seller open.
-  let activeAgent = seller;
-  let passiveAgent = buyer;
-
-  // Initial prompt for opener (no previous message)
-
-  while (turns < maxTurns && !dealReached) {
-    turns++;
-    const response = await activeAgent.generateResponse(lastMessage);
-
-    console.log(
-      chalk.bold(`${activeAgent.name}:`) +
-        ` ${response.message} ` +
-        chalk.yellow(`[Offer: ${response.offer}]`),
-    );
-    if (response.deal) {
-      if (lastOffer !== null && response.offer == lastOffer) {
-        dealPrice = response.offer;
-        dealReached = true;
-      } else {
-        console.log(
-          chalk.red(
-            `[System] Rejected deal: Offer ${response.offer} does not match previous ${lastOffer}`,
-          ),
-        );
-        dealReached = false;
-        response.deal = false;
-      }
-    } else if (response.offer !== null) {
-      lastOffer = response.offer;
+import { rerunTournament, resumeTournament, runTournament } from "../server/benchmark.js";
+import { listPlans } from "../server/plans.js";
+
+// CLI front-end for the same tournament runner the server uses.
+// Logs are written to public/logs like any other run.
+
+const USAGE = `Usage: npm run benchmark -- --models A,B[,C...] [options]
+       npm run benchmark -- --resume <planId> [--force] [--budget USD] [--retries N] [--concurrency N]
+       npm run benchmark -- --rerun <planId> [--name NAME] [--retries N] [--concurrency N]
+       npm run benchmark -- --plans
+
+Options:
+  --models       Comma-separated MODELS keys or provider:model references (required)
+  --rounds       Number of round-robin rounds (default 1)
+  --seed         Tournament seed; the same seed and models replay the same scenarios
+  --name         Tournament name (default: generated from the seed)
+  --scenarios    Comma-separated scenario ids from scenarios/ (default: all)
+  --zopa         Fix the deal zone width in percent of the true value, e.g. 10, 0 or -10
+                 (default: estimates drawn independently)
+  --info         Information mode for every match: private, public_value, opponent_range,
+                 batna, one_sided_seller or one_sided_buyer (default: per scenario)
+  --opener       Who speaks first: seller (default), buyer, random or balanced
+  --format       bilateral (default, one-on-one round robin) or auction (one seller,
+                 every other model bidding; needs 3+ models)
+  --channel      Auctions: private (default, buyers only see the seller) or public
+  --series       Play each pairing as a series of N games with memory of earlier games
+                 (roles alternate, scores add up over the series)
+  --max-turns    Messages per match, both sides together (default 12)
+  --turn-notice  Tell agents how many messages are left with every opponent message
+  --budget       Stop scheduling matches once this many USD have been spent
+  --retries      Provider retries per call (default PROVIDER_MAX_RETRIES or 4)
+  --concurrency  Matches played at once (default MAX_CONCURRENT_MATCHES or 4; 1 = one by one)
+  --provider-concurrency
+                 Per-provider caps, e.g. anthropic=2,openai=4 (default
+                 PROVIDER_CONCURRENCY_<NAME>, or 2 for cloud APIs and 1 for local)
+  --resume       Continue a saved tournament plan: only matches not completed yet are played
+                 (--budget then replaces the plan's budget)
+  --force        With --resume: resume a plan another process is still playing (without it
+                 such plans are refused, so two runners never play the same matches)
+  --rerun        Play a stored tournament again as a new one with the same configuration
+                 (models, rounds, seed, settings and scenario set)
+  --plans        List tournament plans that still have pending or errored matches
+
+Example:
+  npm run benchmark -- --models MOCK_BOULWARE,BASELINE_TIT_FOR_TAT --rounds 2 --seed 42`;
+
+// Minimal --key value / --key=value parser
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) {
+      throw new Error(`Unexpected argument '${arg}'`);
+    }
+    const eq = arg.indexOf("=");
+    if (eq !== -1) {
+      args[arg.slice(2, eq)] = arg.slice(eq + 1);
+    } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith("--")) {
+      args[arg.slice(2)] = argv[++i];
+    } else {
+      args[arg.slice(2)] = true;
     }
+  }
+  return args;
+}
 
-    // Log
-    const logEntry = {
-      turn: turns,
-      sender: activeAgent.name,
-      role: activeAgent.role,
-      content: response,
-    };
-    logs.push(logEntry);
+function parseInteger(value, name) {
+  if (value === undefined) return undefined;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) {
+    throw new Error(`--${name} must be a non-negative integer, got '${value}'`);
+  }
+  return n;
+}
 
-    lastMessage = response.message; // Pass text content to next
+// "anthropic=2,openai=4" -> { anthropic: 2, openai: 4 }
+function parseProviderCaps(value) {
+  if (value === undefined) return undefined;
+  return Object.fromEntries(String(value).split(",").filter(Boolean).map(pair => {
+    const [name, cap] = pair.split("=");
+    return [name.trim(), parseInteger(cap, "provider-concurrency")];
+  }));
+}
 
-    // Swap
-    [activeAgent, passiveAgent] = [passiveAgent, activeAgent];
-  }
+// Same highlighting as the web console
+function highlight(text) {
+  if (text.includes("DEAL REACHED") || text.includes("SOLD to")) return chalk.green.bold(text);
+  if (text.includes("NO DEAL") || text.includes("ERRORED")) return chalk.red.bold(text);
+  if (text.includes("Series") && text.includes("complete:")) return chalk.magenta.bold(text);
+  if (text.includes("Starting Match") || text.includes("Starting Auction")) return chalk.cyan(text);
+  if (text.includes("[System]")) return chalk.gray(text);
+  return text.replace(/(\[(?:Offer|Ask|Bid):.*?\])/, chalk.yellow("$1"));
+}
 
-  // Scoring
-  let sellerScore = -0.5; // Penalty default
-  let buyerScore = -0.5; // Penalty default
+// Lines of matches running in parallel start with their run id tag, e.g. "[1712345678901_1] "
+const MATCH_TAG = /^\[(\d+_\w+)\] /gm;
 
-  if (dealReached && dealPrice) {
-    console.log(chalk.green(`\nDEAL REACHED at $${dealPrice}!`));
-    // Seller Score: (P - Est) / Est
-    sellerScore = (dealPrice - sellerEst) / sellerEst;
-    // Buyer Score: (Est - P) / Est
-    buyerScore = (buyerEst - dealPrice) / buyerEst;
-  } else {
-    console.log(chalk.red(`\nNO DEAL REACHED.`));
+function printLog(text) {
+  const tag = text.match(/^\[(\d+_\w+)\] /m)?.[1];
+  if (!tag) {
+    console.log(highlight(text));
+    return;
   }
+  const lines = highlight(text.replace(MATCH_TAG, "")).split("\n");
+  console.log(lines.map(line => (line ? `${chalk.gray(`[${tag}]`)} ${line}` : line)).join("\n"));
+}
 
-  const result = {
-    id: runId,
-    date: new Date().toISOString(),
-    item,
-    trueValue,
-    seller: {
-      name: seller.name,
-      model: seller.modelId,
-      estimate: sellerEst,
-      score: sellerScore,
-    },
-    buyer: {
-      name: buyer.name,
-      model: buyer.modelId,
-      estimate: buyerEst,
-      score: buyerScore,
-    },
-    dealReached,
-    dealPrice,
-    turns,
-    logs,
-  };
-
-  // Save Log
-  if (!fs.existsSync(VIEWER_LOGS_DIR)) {
-    fs.mkdirSync(VIEWER_LOGS_DIR, { recursive: true });
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.plans) {
+    printPlans();
+    return;
+  }
+  if (args.help || ((!args.models || args.models === true) && typeof args.resume !== "string" && typeof args.rerun !== "string")) {
+    console.log(USAGE);
+    process.exit(args.help ? 0 : 1);
   }
-  fs.writeFileSync(
-    path.join(VIEWER_LOGS_DIR, `run_${runId}.json`),
-    JSON.stringify(result, null, 2),
-  );
 
-  // Update Manifest
-  const manifestPath = path.join(VIEWER_LOGS_DIR, "manifest.json");
-  let manifest = [];
-  if (fs.existsSync(manifestPath)) {
-    manifest = JSON.parse(fs.readFileSync(manifestPath));
+  const retries = parseInteger(args.retries, "retries");
+  const concurrency = parseInteger(args.concurrency, "concurrency");
+  const providerConcurrency = parseProviderCaps(args["provider-concurrency"]);
+  if (typeof args.resume === "string") {
+    const summary = await resumeTournament(args.resume, printLog, {
+      budgetUsd: args.budget !== undefined ? parseFloat(args.budget) : undefined,
+      retry: retries !== undefined ? { retries } : undefined,
+      concurrency,
+      providerConcurrency,
+      force: args.force === true || args.force === "true",
+    });
+    console.log(chalk.blue(`Tournament '${summary.tournamentId}' ${summary.status} (plan ${summary.planId}). Results saved to public/logs.`));
+    return;
+  }
+  if (typeof args.rerun === "string") {
+    const summary = await rerunTournament(args.rerun, printLog, {
+      tournamentName: typeof args.name === "string" ? args.name : undefined,
+      retry: retries !== undefined ? { retries } : undefined,
+      concurrency,
+      providerConcurrency,
+    });
+    console.log(chalk.blue(`Tournament '${summary.tournamentId}' ${summary.status} (seed ${summary.seed}, plan ${summary.planId}). Results saved to public/logs.`));
+    return;
   }
-  manifest.unshift({
-    id: runId,
-    date: result.date,
-    item,
-    trueValue,
-    dealReached,
-    dealPrice,
-    seller: {
-      name: seller.name,
-      model: seller.modelId,
-      estimate: sellerEst,
-      score: sellerScore,
-    },
-    buyer: {
-      name: buyer.name,
-      model: buyer.modelId,
-      estimate: buyerEst,
-      score: buyerScore,
-    },
-  });
-  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+  const summary = await runTournament({
+    models: args.models.split(",").map(m => m.trim()).filter(Boolean),
+    rounds: parseInteger(args.rounds, "rounds") || 1,
+    seed: parseInteger(args.seed, "seed"),
+    tournamentName: typeof args.name === "string" ? args.name : "",
+    scenarioIds: typeof args.scenarios === "string" ? args.scenarios.split(",").map(s => s.trim()).filter(Boolean) : [],
+    zopa: args.zopa !== undefined ? parseFloat(args.zopa) / 100 : undefined,
+    information: typeof args.info === "string" ? args.info : undefined,
+    opener: typeof args.opener === "string" ? args.opener : undefined,
+    format: typeof args.format === "string" ? args.format : undefined,
+    channel: typeof args.channel === "string" ? args.channel : undefined,
+    series: parseInteger(args.series, "series"),
+    maxTurns: parseInteger(args["max-turns"], "max-turns"),
+    turnNotice: args["turn-notice"] === true || args["turn-notice"] === "true",
+    budgetUsd: args.budget !== undefined ? parseFloat(args.budget) : null,
+    retry: retries !== undefined ? { retries } : undefined,
+    concurrency,
+    providerConcurrency,
+  }, printLog);
+
+  console.log(chalk.blue(`Tournament '${summary.tournamentId}' ${summary.status} (seed ${summary.seed}, plan ${summary.planId}). Results saved to public/logs.`));
+}
 
-  console.log(chalk.blue(`Result saved to logs.`));
+// Unfinished plans, newest first, with what is left to play
+function printPlans() {
+  const plans = listPlans().filter(p => p.progress.pending + p.progress.errored > 0);
+  if (plans.length === 0) {
+    console.log("No unfinished tournament plans.");
+    return;
+  }
+  for (const p of plans) {
+    const { total, completed, errored, pending } = p.progress;
+    console.log(`${chalk.cyan(p.id)}  '${p.tournament}' ${p.active ? "running now" : p.status}, ${completed}/${total} done` +
+      (pending ? `, ${pending} pending` : "") + (errored ? `, ${errored} errored` : "") +
+      chalk.gray(`  (${p.options.models.join(", ")}, seed ${p.seed}, started ${p.createdAt})`));
+  }
 }
 
-// Simple Runner
-const runId = Date.now().toString();
-runMatch(runId).catch(console.error);
+main().catch((error) => {
+  console.error(chalk.red(error.message));
+  process.exit(1);
+});
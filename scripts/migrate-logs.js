@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+// Import run_*.json files that are not in the run index (public/logs/runs.jsonl) yet and
+// rebuild manifest.json from it. The server and the CLI do this on their own the first time
+// the index is missing; run it again after copying run logs in from elsewhere.
+import { VIEWER_LOGS_DIR, migrateRunLogs } from '../server/runLogs.js';
+
+const { imported, fromManifest } = await migrateRunLogs();
+console.log(`Imported ${imported} run logs into ${VIEWER_LOGS_DIR}/runs.jsonl (${fromManifest} summaries taken from the old manifest).`);
@@ -1,73 +1,179 @@
-import Anthropic from "@anthropic-ai/sdk/index.js";
-import { GoogleGenerativeAI } from "@google/generative-ai";
 import dotenv from "dotenv";
-import OpenAI from "openai";
+import { parseResponse, repairPrompt, responseSchema } from "./protocol.js";
+import { computeCost, sumUsage } from "./pricing.js";
+import { getProvider } from "./providers/index.js";
+import { withRetry } from "./retry.js";
+import { formatMoney } from "./money.js";
 
 dotenv.config();
 
-// Initialize clients
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
-});
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
-// Gemini init
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const DEFAULT_TEMPERATURE = 0.7;
+const MAX_OUTPUT_TOKENS = 2048;
+// Messages per match (both sides together) unless the tournament sets its own limit
+export const DEFAULT_MAX_TURNS = 12;
+// Version of the prompts and message protocol below, recorded with every tournament.
+// Bump it whenever createSystemPrompt or the reply format changes in a way that can move
+// results, so tournaments played under different prompts are not compared blindly.
+export const PROMPT_VERSION = 3;
 
 export class Agent {
-  constructor(name, modelId, role, item, privateEstimate) {
+  // `model` is a resolved config from resolveModel() in models.js.
+  // `options.scenario` is the scenario being played (description, currency, context, issues).
+  // `options.information` holds what this side is told besides its estimate, under
+  // `options.infoMode` (see information.js).
+  // `options.maxTurns` is the match's message limit (both sides) and `options.opensFirst`
+  // whether this agent sends the first message.
+  // `options.auction` ({ channel, buyers, rounds, party }) plays a multi-buyer auction
+  // instead of a one-on-one match (see auction.js).
+  // `options.series` ({ game, games, memory }) marks a game of a repeated series against the
+  // same opponent; `memory` holds this side's summaries of the earlier games (see series.js).
+  // `options.seed` is the match seed, handed to scripted providers for their random draws.
+  // `options.retry` overrides the retry settings ({ retries, baseDelayMs, maxDelayMs }),
+  // `options.signal` aborts pending backoff waits and `options.onRetry` reports each retry.
+  constructor(name, model, role, item, privateEstimate, options = {}) {
     this.name = name;
-    this.modelId = modelId;
+    this.model = model;
+    this.modelId = model.id;
+    this.provider = getProvider(model.provider);
     this.role = role; // "buyer" or "seller"
     this.item = item;
     this.privateEstimate = privateEstimate;
     this.history = [];
+    this.options = options;
+    this.scenario = options.scenario || null;
+    this.maxTurns = options.maxTurns || DEFAULT_MAX_TURNS;
+    this.information = options.information || {};
+    this.issues = this.scenario?.issues || []; // Non-price issues negotiated with the price
+    this.schema = responseSchema(this.issues);
     this.systemPrompt = this.createSystemPrompt();
     this.totalTokens = 0; // Output/Reasoning tokens
+    this.turnUsage = []; // Per-turn { inputTokens, outputTokens, reasoningTokens, latencyMs, costUsd }
   }
 
+  // `usage` is the per-turn record returned by generateResponse (normalized by the provider)
   trackTokens(usage) {
     if (!usage) return;
-    // Normalize: usually we want output_tokens or completion_tokens
-    const out = usage.output_tokens || usage.completion_tokens || usage.candidatesTokenCount || 0;
-    this.totalTokens += out;
+    this.totalTokens += usage.outputTokens || 0;
+    this.turnUsage.push(usage);
+  }
+
+  // Totals over every turn tracked so far
+  usageTotals() {
+    return sumUsage(this.turnUsage);
   }
 
   createSystemPrompt() {
+    const currency = this.scenario?.currency || "USD";
+    const money = (amount) => formatMoney(amount, currency);
+    const estimate = money(this.privateEstimate);
     const objective =
       this.role === "buyer"
-        ? `buy the item as cheaply as possible. Your private valuation/market estimate is $${this.privateEstimate}. You should aim to pay LESS than this. Ideally much less.`
-        : `sell the item as expensively as possible. Your private valuation/market estimate is $${this.privateEstimate}. You should aim to sell for MORE than this. Ideally much more.`;
+        ? `buy the item as cheaply as possible. Your private valuation/market estimate is ${estimate}. You should aim to pay LESS than this. Ideally much less.`
+        : `sell the item as expensively as possible. Your private valuation/market estimate is ${estimate}. You should aim to sell for MORE than this. Ideally much more.`;
+
+    // Scenario details both sides see
+    const details = [
+      this.scenario?.description && `Description: ${this.scenario.description}`,
+      this.scenario?.context && `Context: ${this.scenario.context}`,
+      currency !== "USD" && `All prices are in ${currency}.`,
+    ].filter(Boolean).join("\n");
+
+    // Information asymmetry: extra facts for this side only
+    const info = this.information;
+    const facts = [
+      info.trueValue !== undefined && (this.options.infoMode === "public_value"
+        ? `Both sides know the item's true market value: ${money(info.trueValue)}.`
+        : `Inside information: the item's true market value is ${money(info.trueValue)}.`),
+      info.opponentEstimate !== undefined && `Inside information: your opponent's private estimate is ${money(info.opponentEstimate)}. Your opponent does not know that you know this.`,
+      info.opponentRange && `Intelligence on your opponent: their private estimate is somewhere between ${money(info.opponentRange[0])} and ${money(info.opponentRange[1])}.`,
+      info.batna !== undefined && (this.role === "seller"
+        ? `Outside option (BATNA): another buyer will pay ${money(info.batna)}. If no deal is reached here, you sell to them instead, and that is what you are scored on.`
+        : `Outside option (BATNA): another seller will sell to you for ${money(info.batna)}. If no deal is reached here, you buy from them instead, and that is what you are scored on.`),
+    ].filter(Boolean);
+    const infoSection = facts.length === 0 ? "" : `
+What you know:
+${facts.map(f => `- ${f}`).join("\n")}
+`;
+
+    // Multi-issue scenarios: every offer is a package of price plus one option per issue
+    const issueSection = this.issues.length === 0 ? "" : `
+Other issues:
+Besides the price, every offer includes one option for each of these issues. What each option is worth TO YOU, on top of the price:
+${this.issues.map(issue => `- ${issue.id} (${issue.label}): ${issue.options.map((option, i) => `"${option}" = ${money(issue.values[this.role][i])}`).join(", ")}`).join("\n")}
+Your opponent may value these options differently. Trading an issue you care little about for one you care a lot about can leave both sides better off.
+`;
+    const termsFormat = this.issues.length === 0 ? "" : `
+- Whenever "offer" is a number, "terms" must pick one option for EVERY issue, e.g. ${JSON.stringify(Object.fromEntries(this.issues.map(issue => [issue.id, issue.options[0]])))}. Use null only when "offer" is null.
+- Accepting means accepting the whole package: "offer" AND "terms" must equal the opponent's previous package.`;
+
+    // Repeated series: what this side remembers of the earlier games
+    const series = this.options.series;
+    const seriesSection = !series ? "" : `
+Series:
+This is game ${series.game} of ${series.games} against the same opponent. Every game is a new item with new estimates and is scored on its own, and your series score is the sum of your game scores. Roles alternate from game to game, and your opponent remembers the earlier games too.
+${series.memory.length === 0 ? "This is the first game." : `Earlier games:\n${series.memory.map(line => `- ${line}`).join("\n")}`}
+`;
+
+    // What ending without a deal is worth: nothing, or the outside option in BATNA mode
+    const noDeal = info.batna === undefined
+      ? `If no deal is reached by then, you get a score of 0 (Neutral). \nThis is better than a negative score from a bad deal.`
+      : `If no deal is reached by then, you take your outside option at ${money(info.batna)} and are scored as if you had ${this.role === "seller" ? "sold" : "bought"} at that price. \nA deal here is only better for you if it beats that price.`;
+
+    // Messages alternate, so the opener gets the extra one when the limit is odd
+    const ownTurns = this.options.opensFirst ? Math.ceil(this.maxTurns / 2) : Math.floor(this.maxTurns / 2);
+    let deadline = `The negotiation ends after at most ${this.maxTurns} messages in total (both sides alternating, ${ownTurns} of them yours).`;
+
+    // Auctions: one seller, several buyers, the seller speaks first in every round
+    const auction = this.options.auction;
+    let auctionSection = "";
+    if (auction) {
+      deadline = `The auction ends after at most ${auction.rounds} rounds (the seller speaks once per round, then every buyer in turn).`;
+      const others = auction.buyers.filter(id => id !== auction.party);
+      const visibility = auction.channel === "public"
+        ? "Every message is posted to a public thread: all buyers see the seller's messages and each other's bids."
+        : "Every buyer talks to the seller on a private channel: buyers only see the seller's messages, never each other's bids.";
+      auctionSection = this.role === "seller"
+        ? `
+Auction:
+You are selling to ${auction.buyers.length} competing buyers at once: ${auction.buyers.join(", ")}. ${visibility}
+Each message you receive lists what every buyer said since your last message, with their current bid. Your own messages go to all buyers, and your "offer" is your current asking price.
+To sell, set "deal" to true with "offer" equal to one buyer's current bid: that buyer wins and the auction ends. Only one buyer can win.
+`
+        : `
+Auction:
+You are ${auction.party}, one of ${auction.buyers.length} buyers competing for this item (the others are ${others.join(", ")}). ${visibility}
+Your "offer" is your bid. To buy at the seller's current asking price, set "deal" to true with "offer" equal to that price. The seller can also accept your bid, or another buyer's. If another buyer wins, the auction ends and you get a score of 0.
+`;
+    }
 
     return `You are a savvy negotiator in a tournament.
 You are the ${this.role.toUpperCase()}.
 Item: ${this.item}.
-Objective: ${objective}
-
+${details ? details + "\n" : ""}Objective: ${objective}
+${infoSection}${issueSection}${auctionSection}${seriesSection}
 Rules:
 1. You must be realistic but competitive.
 2. You can concede small amounts but defend your margin.
 3. If the deal is not good for you based on your private estimate, do not accept it.
-4. It is BETTER to walk away (end with no deal) than to accept a price that causes you to lose value relative to your estimate.
-5. You have a maximum of 6 turns to reach a deal. If no deal is reached, you get a score of 0 (Neutral). 
-This is better than a negative score from a bad deal.
+4. It is BETTER to walk away (end with no deal) than to accept a price that causes you to lose value relative to your estimate. To walk away, set "walk_away" to true: the negotiation ends immediately with no deal.
+5. ${deadline} ${noDeal}
 6. If you believe a fair deal is reached, you can accept.
 
 Output Format:
-You MUST output your response in valid JSON format ONLY, with two fields:
+You MUST output your response in valid JSON format ONLY, with these fields:
 {
   "thought": "Internal reasoning about the offer and strategy",
   "message": "The actual message to send to the opponent",
   "offer": number | null, // The numerical value of the price being discussed/agreed upon.
-  "deal": boolean // Set to true ONLY if you are ACCEPTING the opponent's previous offer.
+  "deal": boolean, // Set to true ONLY if you are ACCEPTING the opponent's previous offer.
+  "walk_away": boolean${this.issues.length === 0 ? "" : ","} // Set to true ONLY to end the negotiation now without a deal.${this.issues.length === 0 ? "" : `
+  "terms": object | null // The option chosen for each other issue`}
 }
 IMPORTANT: 
 - If you are making a proposal, counter-offer, or starting the negotiation: "deal" MUST be false.
 - "deal": true means "I accept your price and the negotiation is over."
 - If you set "deal": true, the "offer" field must equal previous price of the opponent.
+- "walk_away": true ${auction && this.role === "buyer" ? "takes you out of the auction for good" : "ends the negotiation for both sides at once"}; it cannot be undone. Otherwise keep it false.${termsFormat}
 `;
   }
 
@@ -77,125 +183,104 @@ IMPORTANT:
     return s.replace(/\s+/g, " ").trim();
   }
 
-  async generateResponse(opponentMessage) {
+  // One provider call (with retries) on the given conversation
+  async callProvider(history, state) {
+    return withRetry(() => this.provider.chat({
+      model: this.model,
+      systemPrompt: this.systemPrompt,
+      history,
+      temperature: this.model.temperature ?? DEFAULT_TEMPERATURE,
+      maxTokens: MAX_OUTPUT_TOKENS,
+      schema: this.schema,
+      negotiation: {
+        role: this.role,
+        privateEstimate: this.privateEstimate,
+        issues: this.issues,
+        information: this.information,
+        currency: this.scenario?.currency || "USD",
+        seed: this.options.seed ?? null,
+        ...state,
+      },
+    }), {
+      ...this.options.retry,
+      signal: this.options.signal,
+      onRetry: (error, attempt, delayMs) => {
+        console.warn(`[${this.name}] Provider error (${error.status || error.message}), retry ${attempt} in ${Math.round(delayMs)}ms`);
+        if (this.options.onRetry) this.options.onRetry(error, attempt, delayMs);
+      },
+    });
+  }
+
+  // `state` is the structured match state from runMatch ({ turn, maxTurns, lastOffer, lastOfferBy, lastTerms, offers }).
+  // LLM providers only see the conversation; scripted providers play from this.
+  async generateResponse(opponentMessage, state = {}) {
     // Add opponent's message to history if it exists
     if (opponentMessage) {
       this.history.push({ role: "user", content: opponentMessage });
     }
 
-    let textResponse = "";
+    const started = Date.now();
 
     try {
-      // Temperature Logic: GPT-5 (gpt-4o) likes 1.0, others prefer 0.7 for stability
-      const isGPT5 = this.modelId.includes('gpt-5') || this.modelId.includes('gpt-4o');
-      const temp = isGPT5 ? 1.0 : 0.7;
-
-      // 1. Determine Provider
-      if (this.modelId.startsWith("gpt")) {
-        // --- OpenAI ---
-        const completion = await openai.chat.completions.create({
-          model: this.modelId,
-          messages: [
-            { role: "system", content: this.systemPrompt },
-            ...this.history
-          ],
-          temperature: temp,
-          max_completion_tokens: 2048,
-          response_format: { type: "json_object" },
-        });
-        textResponse = completion.choices[0].message.content;
-        this.lastUsage = completion.usage;
-
-      } else if (this.modelId.startsWith("gemini")) {
-        // --- Google Gemini ---
-        const model = genAI.getGenerativeModel({ model: this.modelId });
-        
-        // Gemini has slightly different message format (parts: [{text: ...}])
-        // And system instruction is separate in latest SDK, or prepended.
-        // Let's prepend system prompt to history for simplicity or use systemInstruction if available in version.
-        // We'll use the chat object.
-        
-        // Convert history to Gemini format: user/model
-        const geminiHistory = this.history.map(m => ({
-          role: m.role === "assistant" ? "model" : "user",
-          parts: [{ text: m.content }]
-        }));
-
-        // Use generateContent statelessly with full prompt context for best results
-        let prompt = `SYSTEM:\n${this.systemPrompt}\n\nCONVERSATION:\n`;
-        this.history.forEach(h => {
-          prompt += `${h.role.toUpperCase()}: ${h.content}\n`;
-        });
-        prompt += `ASSISTANT:`; // Cue
-
-        const result = await model.generateContent({
-            contents: [{ role: 'user', parts: [{ text: prompt }] }],
-            generationConfig: {
-                maxOutputTokens: 2048,
-                temperature: temp,
-            }
-        });
-        const response = await result.response;
-        textResponse = response.text();
-        this.lastUsage = response.usageMetadata;
-
-      } else {
-        // --- Anthropic (Default) ---
-        const response = await anthropic.messages.create({
-          model: this.modelId,
-          max_tokens: 2048,
-          temperature: temp,
-          system: this.systemPrompt,
-          messages: this.history,
-        });
-        textResponse = response.content[0].text;
-        this.lastUsage = response.usage;
-      }
+      let { text: textResponse, usage } = await this.callProvider(this.history, state);
+      let { data, errors } = parseResponse(textResponse, this.schema);
+      let repaired = false;
 
-      // --- JSON Parsing Logic ---
-      let data;
-      try {
-        // Attempt to find JSON block if model wraps it in markdown
-        const jsonMatch = textResponse.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          data = JSON.parse(jsonMatch[0]);
-        } else {
-          data = JSON.parse(textResponse);
+      // One repair round: show the model its mistakes and ask again. The repair
+      // exchange is not kept in the history, only the final answer is.
+      if (errors.length > 0) {
+        console.warn(`[${this.name}] Invalid response (${errors.join("; ")}). Asking for a repair...`);
+        const retry = await this.callProvider([
+          ...this.history,
+          { role: "assistant", content: textResponse },
+          { role: "user", content: repairPrompt(errors) },
+        ], state);
+        usage = {
+          inputTokens: usage.inputTokens + retry.usage.inputTokens,
+          outputTokens: usage.outputTokens + retry.usage.outputTokens,
+          reasoningTokens: (usage.reasoningTokens || 0) + (retry.usage.reasoningTokens || 0),
+        };
+        const reparsed = parseResponse(retry.text, this.schema);
+        repaired = reparsed.errors.length === 0;
+        if (repaired) {
+          textResponse = retry.text;
+          data = reparsed.data;
+          errors = [];
         }
+      }
 
-        // Normalize whitespace in JSON fields requested
-        if (data && typeof data === "object") {
-          if ("thought" in data && typeof data.thought === "string") {
-            data.thought = this.normalizeWhitespace(data.thought);
-          }
-          if ("message" in data && typeof data.message === "string") {
-            data.message = this.normalizeWhitespace(data.message);
-          }
-        }
-      } catch (e) {
-        console.warn(`[${this.name}] Failed to parse JSON. Raw: ${textResponse.slice(0, 100)}...`);
+      if (errors.length > 0) {
+        console.warn(`[${this.name}] Response still invalid after repair. Raw: ${textResponse.slice(0, 100)}...`);
         data = {
           thought: "Failed to parse JSON output",
           message: this.normalizeWhitespace(textResponse),
           offer: null,
           deal: false,
+          walk_away: false,
+          ...(this.issues.length > 0 ? { terms: null } : {}),
         };
       }
 
+      // Normalize whitespace in JSON fields requested
+      data.thought = this.normalizeWhitespace(data.thought);
+      data.message = this.normalizeWhitespace(data.message);
+
       // Add self response to history
       this.history.push({ role: "assistant", content: textResponse });
 
-      // Return usage alongside data
-      // Normalize usage object for easier consumption
-      // OpenAI: completion.usage
-      // Anthropic: response.usage
-      // Gemini: result.response.usageMetadata
-      
-      // We need to capture the specific usage object from the block above.
-      // Refactoring slightly to access it here or attach it.
-      // Let's modify the blocks above to return { text, usage }
-      
-      return { ...data, usage: this.lastUsage };
+      // Return per-turn usage (incl. wall-clock latency across retries/repair and USD cost)
+      // and the validation outcome alongside data
+      return {
+        ...data,
+        usage: {
+          inputTokens: usage.inputTokens || 0,
+          outputTokens: usage.outputTokens || 0,
+          reasoningTokens: usage.reasoningTokens || 0,
+          latencyMs: Date.now() - started,
+          costUsd: computeCost(this.model, usage),
+        },
+        validation: { repaired, errors: errors.length > 0 ? errors : null },
+      };
     } catch (error) {
       console.error(`[${this.name}] API Error:`, error);
       throw error;
@@ -0,0 +1,351 @@
+import { Agent, DEFAULT_MAX_TURNS } from "./agents.js";
+import { formatCost, sumUsage } from "./pricing.js";
+import { createRng } from "./rng.js";
+import { saveRun } from "./runLogs.js";
+import { formatMoney } from "./money.js";
+
+// Multi-buyer auctions: one seller negotiates with N buyers at once and can sell to
+// only one of them. Every round the seller speaks first (its offer is the asking
+// price), then each buyer still in the auction replies with a bid.
+//
+//   private  each buyer has its own channel with the seller and never sees the other bids
+//   public   one shared thread: everybody sees every message and bid
+//
+// The seller sells by accepting a buyer's current bid; a buyer buys by accepting the
+// current ask. A buyer that walks away only leaves the auction, the seller walking
+// away ends it. Auctions are price-only and use private information.
+
+export const AUCTION_CHANNELS = ["private", "public"];
+
+// Draw the scenario, the seller's estimate and one estimate per buyer from a seed.
+// Multi-issue scenarios are left out: auctions only haggle over the price.
+export function drawAuctionSetup(seed, scenarios, buyers) {
+  const priceOnly = scenarios.filter(s => !s.issues || s.issues.length === 0);
+  if (priceOnly.length === 0) {
+    throw new Error("Auctions need at least one scenario without other issues");
+  }
+  const rng = createRng(seed);
+  const scenario = priceOnly[Math.floor(rng() * priceOnly.length)];
+  const estimate = () => Math.round(scenario.trueValue * (1 + ((rng() * 2 - 1) * scenario.variance)));
+  const sellerEst = estimate();
+  const buyerEsts = Array.from({ length: buyers }, estimate);
+  return { seed, scenario, item: scenario.item, trueValue: scenario.trueValue, sellerEst, buyerEsts };
+}
+
+// "buyer_1: I can pay $900. [Bid: 900]"
+function threadLine(entry) {
+  if (entry.left) return `${entry.party}: ${entry.message} [Leaves the auction]`;
+  const tag = entry.role === "seller" ? "Ask" : "Bid";
+  return `${entry.party}: ${entry.message} [${tag}: ${entry.offer ?? "None"}]`;
+}
+
+/**
+ * Play one auction and save its run log.
+ * @param {string} runId
+ * @param {{ name: string, model: object }} sellerConf
+ * @param {{ name: string, model: object }[]} buyerConfs - in speaking order
+ * @param {(text: string) => void} logger
+ * @param {string | null} tournamentId
+ * @param {object} options - tournament options (maxTurns, turnNotice, channel, retry, signal, seed)
+ * @param {{ setup: object }} match - setup from drawAuctionSetup
+ */
+export async function runAuction(runId, sellerConf, buyerConfs, logger, tournamentId = null, options = {}, match = {}) {
+  const channel = options.channel || "private";
+  const parties = buyerConfs.map((_, i) => `buyer_${i + 1}`);
+  logger(`\nStarting Auction ${runId}...`);
+  logger(`Seller: ${sellerConf.name} | Buyers: ${buyerConfs.map((b, i) => `${b.name} (${parties[i]})`).join(", ")} | Channel: ${channel}`);
+
+  const { setup } = match;
+  const { scenario, item, trueValue, sellerEst, buyerEsts } = setup;
+  const money = (amount) => formatMoney(amount, scenario.currency);
+  logger(`Item: ${item} (${scenario.category}) | True Val: ${money(trueValue)}`);
+  logger(`Seller Est: ${money(sellerEst)} | Buyer Ests: ${buyerEsts.map((e, i) => `${parties[i]} ${money(e)}`).join(", ")}`);
+
+  // Same turn budget as a bilateral match: half of it are rounds, the seller speaks in each
+  const maxTurns = options.maxTurns || DEFAULT_MAX_TURNS;
+  const maxRounds = Math.ceil(maxTurns / 2);
+  const agentOptions = {
+    scenario,
+    maxTurns,
+    seed: setup.seed,
+    retry: options.retry,
+    signal: options.signal,
+    onRetry: (error, attempt, delayMs) => logger(`[System] Provider error (${error.status || error.message}), retry ${attempt} in ${(delayMs / 1000).toFixed(1)}s...`),
+  };
+  const auction = { channel, buyers: parties, rounds: maxRounds };
+
+  const seller = new Agent(sellerConf.name, sellerConf.model, "seller", item, sellerEst, {
+    ...agentOptions, opensFirst: true, auction: { ...auction, party: "seller" },
+  });
+  const buyers = buyerConfs.map((conf, i) => ({
+    party: parties[i],
+    agent: new Agent(conf.name, conf.model, "buyer", item, buyerEsts[i], {
+      ...agentOptions, auction: { ...auction, party: parties[i] },
+    }),
+    estimate: buyerEsts[i],
+    bid: null, // Standing bid
+    bidTurn: null, // Turn the standing bid was made, earliest wins a tie
+    left: null, // Turn the buyer walked away
+    seen: 0, // Public channel: thread entries this buyer has been shown
+  }));
+
+  let turns = 0;
+  let round = 0;
+  let ask = null;
+  let dealReached = false;
+  let dealPrice = null;
+  let winner = null; // Party of the winning buyer
+  let error = null;
+  let endReason = null; // "deal", "walk_away", "stalled", "invalid_output", "turn_limit" or "errored"
+  let walkAway = null; // { role, model, turn } when the seller walked away or every buyer left
+  const logs = [];
+  const thread = []; // Everything said so far, as { party, role, message, offer, left }
+  const asks = []; // The seller's asks, in the offers format scripted players read
+  let sellerSeen = 0; // Thread entries the seller has been shown
+
+  const abortCheck = () => {
+    if (options.signal && options.signal.aborted) throw new Error("Benchmark Aborted");
+  };
+
+  // One turn: ask the agent, log it and record it. Returns null when the provider failed.
+  const play = async (agent, party, prompt, state) => {
+    abortCheck();
+    turns++;
+    const notice = options.turnNotice ? `\n\n[Rounds remaining: ${maxRounds - round + 1} of ${maxRounds}, including this one]` : "";
+    let response;
+    try {
+      response = await agent.generateResponse(prompt + notice, { turn: round, maxTurns: maxRounds, ...state });
+    } catch (e) {
+      if (e.message === "Benchmark Aborted") throw e;
+      error = {
+        turn: turns,
+        role: agent.role,
+        party,
+        model: agent.modelId,
+        status: e.status || null,
+        attempts: e.attempts || 1,
+        message: e.message,
+      };
+      logger(`[System] Auction errored on turn ${turns} (${agent.name}): ${e.message}`);
+      endReason = "errored";
+      return null;
+    }
+
+    const tag = agent.role === "seller" ? "Ask" : "Bid";
+    logger(`${agent.name} (${party}): ${response.message} [${tag}: ${response.offer || "None"}]` + (response.walk_away && !response.deal ? " [Walks away]" : ""));
+
+    const { usage, validation, ...content } = response;
+    logs.push({
+      turn: turns,
+      round,
+      sender: `${agent.name} (${party})`,
+      role: agent.role,
+      party,
+      content,
+      usage,
+      ...(validation.repaired || validation.errors ? { validation } : {}),
+    });
+    agent.trackTokens(usage);
+    return response;
+  };
+
+  abortCheck();
+  while (round < maxRounds && !endReason) {
+    round++;
+    let offersThisRound = 0;
+    let invalidThisRound = false;
+
+    // Seller: sees what every buyer said since its last turn
+    const active = buyers.filter(b => b.left === null);
+    const news = thread.slice(sellerSeen).filter(entry => entry.role !== "seller");
+    sellerSeen = thread.length;
+    const sellerPrompt = round === 1
+      ? `The auction has started with ${buyers.length} buyers: ${parties.join(", ")}. Please make your opening statement and asking price.`
+      : `${news.map(threadLine).join("\n")}\n\nCurrent bids: ${active.map(b => `${b.party} ${b.bid ?? "none"}`).join(", ")}`;
+    // Scripted sellers read the best standing bid as the opponent's offer
+    const best = active.filter(b => b.bid !== null).sort((a, b) => b.bid - a.bid || a.bidTurn - b.bidTurn)[0];
+    const sellerResponse = await play(seller, "seller", sellerPrompt, {
+      lastOffer: best ? best.bid : null,
+      lastOfferBy: best ? "buyer" : null,
+      offers: [...asks, ...(best ? [{ role: "buyer", offer: best.bid }] : [])],
+    });
+    if (!sellerResponse) break;
+
+    if (sellerResponse.deal) {
+      // Accepting means naming one of the standing bids; ties go to the earliest bidder
+      const taken = active.filter(b => b.bid !== null && b.bid === sellerResponse.offer).sort((a, b) => a.bidTurn - b.bidTurn)[0];
+      if (taken) {
+        dealReached = true;
+        dealPrice = taken.bid;
+        winner = taken.party;
+        endReason = "deal";
+        break;
+      }
+      logger(`[System] Rejected sale: ${sellerResponse.offer} is not a current bid.`);
+      sellerResponse.deal = false;
+    }
+    if (sellerResponse.walk_away) {
+      walkAway = { role: "seller", model: seller.modelId, turn: turns };
+      endReason = "walk_away";
+      logger(`[System] ${seller.name} (seller) walked away on turn ${turns}.`);
+      break;
+    }
+    if (sellerResponse.offer !== null) {
+      ask = sellerResponse.offer;
+      asks.push({ role: "seller", offer: ask });
+      offersThisRound++;
+    } else if (sellerResponse.validation.errors) {
+      invalidThisRound = true;
+    }
+    thread.push({ party: "seller", role: "seller", message: sellerResponse.message, offer: sellerResponse.offer });
+    const sellerEntry = thread.length - 1;
+
+    // Buyers, in order: private channels only show the seller's latest message,
+    // the public thread shows everything since the buyer last spoke
+    for (const buyer of active) {
+      const shown = channel === "public" ? thread.slice(buyer.seen).filter(entry => entry.party !== buyer.party) : [thread[sellerEntry]];
+      buyer.seen = thread.length;
+      const buyerPrompt = shown.map(threadLine).join("\n");
+      const response = await play(buyer.agent, buyer.party, buyerPrompt, {
+        lastOffer: ask,
+        lastOfferBy: ask !== null ? "seller" : null,
+        offers: [...asks, ...(buyer.bid !== null ? [{ role: "buyer", offer: buyer.bid }] : [])],
+      });
+      if (!response) break;
+
+      if (response.deal) {
+        if (ask !== null && response.offer === ask) {
+          dealReached = true;
+          dealPrice = ask;
+          winner = buyer.party;
+          endReason = "deal";
+          break;
+        }
+        logger(`[System] Rejected purchase: ${response.offer} does not match the ask ${ask}.`);
+        response.deal = false;
+      }
+      if (response.walk_away) {
+        buyer.left = turns;
+        logger(`[System] ${buyer.agent.name} (${buyer.party}) left the auction on turn ${turns}.`);
+        thread.push({ party: buyer.party, role: "buyer", message: response.message, left: true });
+        continue;
+      }
+      if (response.offer !== null) {
+        buyer.bid = response.offer;
+        buyer.bidTurn = turns;
+        offersThisRound++;
+      } else if (response.validation.errors) {
+        invalidThisRound = true;
+      }
+      thread.push({ party: buyer.party, role: "buyer", message: response.message, offer: response.offer });
+    }
+    if (endReason) break;
+
+    if (buyers.every(b => b.left !== null)) {
+      walkAway = { role: "buyer", model: null, turn: turns };
+      endReason = "walk_away";
+      logger(`[System] Every buyer left the auction.`);
+    } else if (offersThisRound === 0) {
+      // A whole round without a single ask or bid
+      endReason = invalidThisRound ? "invalid_output" : "stalled";
+      logger(`[System] Auction ended: a full round with no offers` + (invalidThisRound ? " (invalid output)." : "."));
+    }
+  }
+  if (!endReason) endReason = "turn_limit";
+
+  // Scoring: like a match for the seller and the winning buyer, 0 for everyone else
+  let sellerScore = 0.0;
+  const buyerScore = (b) => (dealReached && b.party === winner ? (b.estimate - dealPrice) / b.estimate : 0.0);
+  if (dealReached) {
+    const won = buyers.find(b => b.party === winner);
+    logger(`SOLD to ${won.agent.name} (${winner}) at ${money(dealPrice)}!`);
+    sellerScore = (dealPrice - sellerEst) / sellerEst;
+  } else if (error) {
+    logger(`AUCTION ERRORED.`);
+  } else {
+    logger(`NO DEAL REACHED.`);
+  }
+
+  const status = error ? "errored" : "completed";
+  const sellerUsage = seller.usageTotals();
+  const totals = sumUsage([sellerUsage, ...buyers.map(b => b.agent.usageTotals())]);
+  logger(`Auction usage: ${totals.inputTokens} in / ${totals.outputTokens} out tokens, ${(totals.latencyMs / 1000).toFixed(1)}s, cost: ${formatCost(totals.costUsd, totals.unpriced)}`);
+
+  const mock = [seller, ...buyers.map(b => b.agent)].some(a => a.model.provider === "mock");
+
+  const sellerSummary = {
+    name: seller.name,
+    model: seller.modelId,
+    provider: seller.model.provider,
+    estimate: sellerEst,
+    score: sellerScore,
+  };
+  const buyerSummary = (b) => ({
+    party: b.party,
+    name: b.agent.name,
+    model: b.agent.modelId,
+    provider: b.agent.model.provider,
+    estimate: b.estimate,
+    score: buyerScore(b),
+    left: b.left,
+  });
+
+  const result = {
+    id: runId,
+    type: "auction",
+    tournament: tournamentId,
+    seed: options.seed ?? null,
+    matchSeed: setup.seed,
+    status,
+    mock,
+    date: new Date().toISOString(),
+    scenario: scenario.id,
+    category: scenario.category,
+    currency: scenario.currency,
+    item,
+    trueValue,
+    channel,
+    seller: { ...sellerSummary, thinkingTokens: seller.totalTokens || 0, usage: sellerUsage },
+    buyers: buyers.map(b => ({ ...buyerSummary(b), thinkingTokens: b.agent.totalTokens || 0, usage: b.agent.usageTotals() })),
+    winner,
+    dealReached,
+    dealPrice,
+    maxRounds,
+    rounds: round,
+    turnNotice: !!options.turnNotice,
+    endReason,
+    walkAway,
+    turns,
+    error,
+    totals,
+    logs,
+  };
+
+  await saveRun(result, {
+    id: runId,
+    type: "auction",
+    tournament: tournamentId,
+    seed: options.seed ?? null,
+    status,
+    mock,
+    date: result.date,
+    scenario: scenario.id,
+    category: scenario.category,
+    currency: scenario.currency,
+    item,
+    trueValue,
+    channel,
+    winner,
+    dealReached,
+    dealPrice,
+    maxRounds,
+    endReason,
+    walkAway,
+    error,
+    costUsd: totals.costUsd,
+    seller: sellerSummary,
+    buyers: buyers.map(buyerSummary),
+  });
+
+  return result;
+}
@@ -1,85 +1,130 @@
-import fs from "fs";
-import path from "path";
-import { fileURLToPath } from 'url';
-import { Agent } from "./agents.js";
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-// Go up one level from 'server' to 'results-viewer' root, then 'public/logs'
-const VIEWER_LOGS_DIR = path.resolve(__dirname, "../public/logs");
-
-export const MODELS = {
-  OPUS_4_5: "claude-opus-4-5-20251101",
-  HAIKU_4_5: "claude-haiku-4-5-20251001",
-  SONNET_4_5: "claude-sonnet-4-5-20250929",
-  GEMINI_FLASH_PREVIEW: "gemini-3-flash-preview",
-  GEMINI_2_5_PRO: "gemini-2.5-pro",
-  GEMINI_2_5_FLASH: "gemini-2.5-flash",
-  GPT_5_2: "gpt-5.2",
-  GPT_5_1: "gpt-5.1",
-  GPT_5: "gpt-5",
-  GPT_5_MINI: "gpt-5-mini"
-};
-
-
-const SCENARIOS = [
-  { item: "Vintage Rolex Watch", value: 38000, variance: 0.1 },
-  { item: "Used 2020 Tesla Model 3", value: 25000, variance: 0.15 },
-  { item: "Premium Domain Name 'AI-Agent.com'", value: 50000, variance: 0.4 },
-  { item: "Enterprise SaaS Contract (Annual)", value: 120000, variance: 0.2 },
-  { item: "Rare Digital Art NFT", value: 15000, variance: 0.5 },
-  { item: "X/Twitter", value: 45000000, variance: 0.3 },
-  { item: "Used iPhone 13 Pro Max", value: 700, variance: 0.2 },
-  { item: "High-End Road Bicycle", value: 1200, variance: 0.25 },
-];
-
-function ensureLogsDir() {
-  if (!fs.existsSync(VIEWER_LOGS_DIR)) {
-    fs.mkdirSync(VIEWER_LOGS_DIR, { recursive: true });
+import { Agent, DEFAULT_MAX_TURNS, PROMPT_VERSION } from "./agents.js";
+import { AUCTION_CHANNELS, drawAuctionSetup, runAuction } from "./auction.js";
+import { resolveModel } from "./models.js";
+import { formatCost, priceFor, sumUsage } from "./pricing.js";
+import { INFORMATION_MODES, drawInformation, reservationPrice } from "./information.js";
+import { createRng, hashSeed } from "./rng.js";
+import { HEARTBEAT_MS, claimPlan, loadPlan, planProgress, releasePlan, resumeConflict, savePlan } from "./plans.js";
+import { concurrencyLimits, schedule } from "./scheduler.js";
+import { loadRun, markSuperseded, saveRun, uniqueId } from "./runLogs.js";
+import { cumulativeScores, summarizeGame } from "./series.js";
+import { formatMoney } from "./money.js";
+import { sameTerms, selectScenarios, termsValue } from "./scenarios.js";
+
+export { MODELS } from "./models.js";
+export { loadRunLogs } from "./runLogs.js";
+
+export const OPENER_MODES = ["seller", "buyer", "random", "balanced"];
+// "bilateral": round-robin of one-on-one matches; "auction": every model sells once per round to all the others
+export const FORMATS = ["bilateral", "auction"];
+
+// A fresh random 32-bit seed, for runs that were not given one
+export function randomSeed() {
+  return Math.floor(Math.random() * 2 ** 32);
+}
+
+// Draw the scenario and both private estimates for a match from a seed.
+// `scenarios` is the tournament's scenario set (see selectScenarios).
+// `zopa` (fraction of the true value, e.g. 0.1, 0 or -0.1) fixes the width of the zone of
+// possible agreement; when null the two estimates are drawn independently.
+// `information` overrides the scenario's information mode (see information.js).
+function drawSetup(seed, scenarios, { zopa = null, information = null } = {}) {
+  const rng = createRng(seed);
+
+  // Randomized Scenario
+  const scenario = scenarios[Math.floor(rng() * scenarios.length)];
+
+  let sellerEst, buyerEst;
+  if (zopa === null) {
+    // Independent draws: whether a deal zone exists at all is left to chance
+    // Seller Estimate: TrueValue * (1 + random(-var, +var))
+    sellerEst = Math.round(scenario.trueValue * (1 + ((rng() * 2 - 1) * scenario.variance)));
+    buyerEst = Math.round(scenario.trueValue * (1 + ((rng() * 2 - 1) * scenario.variance)));
+  } else {
+    // Controlled: draw the midpoint, then place the estimates zopa * trueValue apart around it.
+    // Positive width = buyer values it above the seller (a deal zone), negative = no deal possible.
+    const mid = scenario.trueValue * (1 + ((rng() * 2 - 1) * scenario.variance));
+    const half = (zopa * scenario.trueValue) / 2;
+    sellerEst = Math.round(mid - half);
+    buyerEst = Math.round(mid + half);
   }
+
+  // What each side is told besides its own estimate
+  const info = drawInformation(information || scenario.information || "private", { trueValue: scenario.trueValue, sellerEst, buyerEst }, rng);
+
+  return { seed, scenario, item: scenario.item, trueValue: scenario.trueValue, sellerEst, buyerEst, zopa, info };
 }
 
-async function runMatch(runId, buyerConf, sellerConf, logger, tournamentId = null, options = {}) {
+// A rational deal exists only when the buyer values the item above the seller (or above the
+// seller's outside option, with BATNAs). With other issues on the table, the best package for
+// the two sides combined can widen (or open) the zone.
+function zopaSummary(setup) {
+  const jointIssueValue = (setup.scenario.issues || []).reduce((sum, issue) =>
+    sum + Math.max(...issue.options.map((_, i) => issue.values.seller[i] + issue.values.buyer[i])), 0);
+  const width = reservationPrice(setup.info, "buyer", setup.buyerEst) - reservationPrice(setup.info, "seller", setup.sellerEst) + jointIssueValue;
+  return { target: setup.zopa ?? null, width, exists: width > 0 };
+}
+
+// `match.setup` (from drawSetup) fixes the item and estimates, e.g. to replay them with roles
+// swapped; otherwise they are drawn from `match.seed`. `match.pair` links the two matches of a
+// role-swapped pair ({ id, slot }). `match.opener` ("seller" or "buyer") speaks first.
+// `match.series` ({ id, game, games, memory, cumulative }) makes it a game of a repeated series:
+// `memory` maps each model key to its summaries of the earlier games, `cumulative` to its
+// series score so far.
+async function runMatch(runId, buyerConf, sellerConf, logger, tournamentId = null, options = {}, match = {}) {
   logger(`\nStarting Match ${runId}...`);
   logger(`Matchup: ${buyerConf.name} (Buyer) vs ${sellerConf.name} (Seller)`);
 
-  // Randomized Scenario
-  const scenario = SCENARIOS[Math.floor(Math.random() * SCENARIOS.length)];
-  const item = scenario.item;
-  const trueValue = scenario.value;
-  
-  // Randomize Estimates based on Scenario Variance
-  // Seller usually wants more, Buyer usually wants less? Or just random noise?
-  // Let's create a "ZOPA" (Zone of Possible Agreement) or potential Gap.
-  // Seller Estimate: TrueValue * (1 + random(-var, +var))
-  const sellerEst = Math.round(trueValue * (1 + ((Math.random() * 2 - 1) * scenario.variance)));
-  const buyerEst = Math.round(trueValue * (1 + ((Math.random() * 2 - 1) * scenario.variance)));
+  const setup = match.setup || drawSetup(match.seed ?? randomSeed(), options.scenarios || selectScenarios(), { zopa: options.zopa ?? null, information: options.information });
+  const matchSeed = setup.seed;
+  const { scenario, item, trueValue, sellerEst, buyerEst, info } = setup;
+  const money = (amount) => formatMoney(amount, scenario.currency);
 
-  logger(`Item: ${item} | True Val: $${trueValue}`);
-  logger(`Seller Est: $${sellerEst} | Buyer Est: $${buyerEst}`);
+  logger(`Item: ${item} (${scenario.category}) | True Val: ${money(trueValue)}`);
+  if (info.mode !== "private") logger(`Information: ${info.mode}`);
+  const zopa = zopaSummary(setup);
+  logger(`Seller Est: ${money(sellerEst)} | Buyer Est: ${money(buyerEst)} | ZOPA: ${money(zopa.width)}${zopa.exists ? "" : " (no rational deal)"}`);
 
   // Instantiate Agents
   // We pass 'trueValue' as the public knowledge (if any) or just for consistent object shape,
-  // but importantly we pass the randomized estimate as the 'privateEstimate' (last arg) which the agent uses.
+  // but importantly we pass the randomized estimate as the 'privateEstimate' which the agent uses.
+  const maxTurns = options.maxTurns || DEFAULT_MAX_TURNS;
+  const opener = match.opener || "seller";
+  logger(`Opener: ${opener === "seller" ? sellerConf.name : buyerConf.name} (${opener})`);
+  const series = match.series || null;
+  if (series) logger(`Series: game ${series.game} of ${series.games}`);
+  const agentOptions = {
+    scenario,
+    maxTurns,
+    infoMode: info.mode,
+    seed: matchSeed,
+    retry: options.retry,
+    signal: options.signal,
+    onRetry: (error, attempt, delayMs) => logger(`[System] Provider error (${error.status || error.message}), retry ${attempt} in ${(delayMs / 1000).toFixed(1)}s...`),
+  };
+
   const seller = new Agent(
     sellerConf.name,
-    sellerConf.modelId,
+    sellerConf.model,
     "seller",
     item,
-    sellerEst 
+    sellerEst,
+    { ...agentOptions, information: info.seller, opensFirst: opener === "seller", series: series && { game: series.game, games: series.games, memory: series.memory[sellerConf.name] || [] } }
   );
   
   const buyer = new Agent(
     buyerConf.name,
-    buyerConf.modelId,
+    buyerConf.model,
     "buyer",
     item,
-    buyerEst
+    buyerEst,
+    { ...agentOptions, information: info.buyer, opensFirst: opener === "buyer", series: series && { game: series.game, games: series.games, memory: series.memory[buyerConf.name] || [] } }
   );
 
   let turns = 0;
-  const maxTurns = 12;
   let dealReached = false;
   let dealPrice = null;
+  let error = null; // Set when a provider call still fails after retries
   let logs = [];
   
   if (options && options.signal && options.signal.aborted) throw new Error("Benchmark Aborted");
@@ -87,26 +132,67 @@ async function runMatch(runId, buyerConf, sellerConf, logger, tournamentId = nul
   let lastMessage = "The negotiation has started. Please make your opening statement.";
   let lastOffer = null;
   let lastOfferBy = null; // Track who made the offer to prevent self-dealing
+  let lastTerms = null; // Package that goes with lastOffer in multi-issue scenarios
+  let dealTerms = null;
+  const issues = scenario.issues || [];
   let consecutiveNulls = 0;
-  let activeAgent = seller;
-  let passiveAgent = buyer;
+  let nullFromInvalidOutput = false; // A null offer in the current run came from unusable output
+  let endReason = null; // "deal", "walk_away", "stalled", "invalid_output", "turn_limit" or "errored"
+  let walkAway = null; // { role, model, turn } when a side walked away
+  const offers = []; // Every offer made so far, for scripted players
+  let activeAgent = opener === "seller" ? seller : buyer;
+  let passiveAgent = opener === "seller" ? buyer : seller;
 
   while (turns < maxTurns && !dealReached) {
     if (options && options.signal && options.signal.aborted) throw new Error("Benchmark Aborted");
     turns++;
     
     // Log intent to client?? No, just wait for response.
-    const response = await activeAgent.generateResponse(lastMessage);
+    // Optional deadline notice appended to what the active agent is shown
+    const prompt = options.turnNotice
+      ? `${lastMessage}\n\n[Turns remaining: ${maxTurns - turns + 1} of ${maxTurns} messages, including your reply]`
+      : lastMessage;
+
+    let response;
+    try {
+      response = await activeAgent.generateResponse(prompt, { turn: turns, maxTurns, lastOffer, lastOfferBy, lastTerms, offers });
+    } catch (e) {
+      if (e.message === "Benchmark Aborted") throw e;
+      // Keep the run: an errored match is recorded with the failing turn instead of dropped
+      error = {
+        turn: turns,
+        role: activeAgent.role,
+        model: activeAgent.modelId,
+        status: e.status || null,
+        attempts: e.attempts || 1,
+        message: e.message,
+      };
+      logger(`[System] Match errored on turn ${turns} (${activeAgent.name}): ${e.message}`);
+      endReason = "errored";
+      break;
+    }
+
+    // In multi-issue scenarios an offer without a full package of terms is not an offer
+    if (issues.length > 0 && response.offer !== null && !response.terms) {
+      logger(`[System] Offer ignored: no terms given for ${issues.map(i => i.id).join(", ")}`);
+      response.offer = null;
+    }
 
-    const logMsg = `${activeAgent.name}: ${response.message} [Offer: ${response.offer || 'None'}]`;
+    const termsText = issues.length > 0 && response.terms ? ` ${issues.map(i => `${i.id}=${response.terms[i.id]}`).join(", ")}` : "";
+    const logMsg = `${activeAgent.name}: ${response.message} [Offer: ${response.offer || 'None'}${termsText}]` + (response.walk_away && !response.deal ? " [Walks away]" : "");
     logger(logMsg);
 
     if (response.deal) {
       // Check if there IS a last offer, AND it wasn't made by this same agent (self-deal prevention)
       if (lastOffer !== null && lastOfferBy !== activeAgent.role) {
-          if (response.offer === lastOffer) {
+          if (response.offer === lastOffer && sameTerms(issues, response.terms, lastTerms)) {
             dealPrice = response.offer;
+            dealTerms = lastTerms;
             dealReached = true;
+          } else if (response.offer === lastOffer) {
+            logger(`[System] Rejected deal: Terms do not match the previous package`);
+            dealReached = false;
+            response.deal = false;
           } else {
             logger(`[System] Rejected deal: Offer ${response.offer} does not match previous ${lastOffer}`);
             dealReached = false;
@@ -122,25 +208,42 @@ async function runMatch(runId, buyerConf, sellerConf, logger, tournamentId = nul
     // Process new offer if present
     // Note: If they said deal=true, we checked matches above. 
     // If deal=false, they might be proposing a new offer.
-    if (!dealReached) {
+    if (dealReached) {
+        endReason = "deal";
+    } else if (response.walk_away) {
+        // Deliberate exit: ends the match at once, unlike the stall rule below
+        walkAway = { role: activeAgent.role, model: activeAgent.modelId, turn: turns };
+        endReason = "walk_away";
+        logger(`[System] ${activeAgent.name} (${activeAgent.role}) walked away on turn ${turns}.`);
+    } else {
         if (response.offer !== null) {
             lastOffer = response.offer;
             lastOfferBy = activeAgent.role;
+            lastTerms = response.terms || null;
+            offers.push({ role: activeAgent.role, offer: response.offer, ...(issues.length > 0 ? { terms: lastTerms } : {}) });
             consecutiveNulls = 0;
+            nullFromInvalidOutput = false;
         } else {
             consecutiveNulls++;
+            if (response.validation.errors) nullFromInvalidOutput = true;
             if (consecutiveNulls >= 2) {
-                logger(`[System] Negotiation ended: Two consecutive turns with no offer.`);
-                break; // End loop, no deal
+                // Unusable output counts as a protocol accident, not a strategic choice
+                endReason = nullFromInvalidOutput ? "invalid_output" : "stalled";
+                logger(`[System] Negotiation ended: Two consecutive turns with no offer` + (nullFromInvalidOutput ? " (invalid output)." : "."));
             }
         }
     }
 
+    const { usage, validation, ...content } = response;
     logs.push({
       turn: turns,
       sender: activeAgent.name + " (" + activeAgent.role + ")",
       role: activeAgent.role,
-      content: { ...response, usage: undefined }, // Keep log clean? Or keep usage? Let's hide usage in simple log.
+      content,
+      // { inputTokens, outputTokens, reasoningTokens, latencyMs, costUsd }
+      usage,
+      // Only noted when the output needed a repair re-prompt or stayed invalid
+      ...(validation.repaired || validation.errors ? { validation } : {}),
     });
 
     // Track Tokens
@@ -148,95 +251,436 @@ async function runMatch(runId, buyerConf, sellerConf, logger, tournamentId = nul
         activeAgent.trackTokens(response.usage);
     }
 
+    if (endReason) break; // Deal, walk-away or stall
+
     lastMessage = response.message;
     [activeAgent, passiveAgent] = [passiveAgent, activeAgent];
   }
+  if (!endReason) endReason = "turn_limit";
 
   // SCORING UPDATE:
   // No Deal = 0.0 (Neutral). Walking away is better than a bad deal.
   // Deal = (Profit) / Estimate.
+  // Multi-issue: profit includes what the agreed terms are worth to each side.
+  // BATNA mode: no deal means taking the outside option, scored like a deal at that price.
   
   let sellerScore = 0.0;
   let buyerScore = 0.0;
 
   if (dealReached && dealPrice) {
-    logger(`DEAL REACHED at $${dealPrice}!`);
-    sellerScore = (dealPrice - sellerEst) / sellerEst;
-    buyerScore = (buyerEst - dealPrice) / buyerEst;
+    logger(`DEAL REACHED at ${money(dealPrice)}!` + (dealTerms ? ` Terms: ${issues.map(i => `${i.id}=${dealTerms[i.id]}`).join(", ")}` : ""));
+    sellerScore = (dealPrice + termsValue(issues, dealTerms, "seller") - sellerEst) / sellerEst;
+    buyerScore = (buyerEst + termsValue(issues, dealTerms, "buyer") - dealPrice) / buyerEst;
+  } else if (error) {
+    logger(`MATCH ERRORED.`);
   } else {
     logger(`NO DEAL REACHED.`);
+    sellerScore = (reservationPrice(info, "seller", sellerEst) - sellerEst) / sellerEst;
+    buyerScore = (buyerEst - reservationPrice(info, "buyer", buyerEst)) / buyerEst;
   }
 
+  // "errored" runs are kept in the dataset but excluded from scoring
+  const status = error ? "errored" : "completed";
+
+  const sellerUsage = seller.usageTotals();
+  const buyerUsage = buyer.usageTotals();
+  const totals = sumUsage([sellerUsage, buyerUsage]);
+  logger(`Match usage: ${totals.inputTokens} in / ${totals.outputTokens} out tokens, ${(totals.latencyMs / 1000).toFixed(1)}s, cost: ${formatCost(totals.costUsd, totals.unpriced)}`);
+
+  // Runs involving a mock model are flagged so they can be kept off real leaderboards
+  const mock = seller.model.provider === "mock" || buyer.model.provider === "mock";
+
+  // Series games record their place in the series and both running totals after this game
+  const seriesInfo = series && {
+    id: series.id,
+    game: series.game,
+    games: series.games,
+    cumulative: cumulativeScores(series.cumulative, { status, seller: { name: seller.name, score: sellerScore }, buyer: { name: buyer.name, score: buyerScore } }),
+  };
+
   const result = {
     id: runId,
     tournament: tournamentId,
+    seed: options.seed ?? null,
+    matchSeed,
+    pair: match.pair || null,
+    series: seriesInfo,
+    status,
+    mock,
     date: new Date().toISOString(),
+    scenario: scenario.id,
+    category: scenario.category,
+    currency: scenario.currency,
     item,
     trueValue,
+    // { target, width, exists }: target is the tournament's ZOPA setting (null = random)
+    zopa,
     seller: {
       name: seller.name,
       model: seller.modelId,
+      provider: seller.model.provider,
       estimate: sellerEst,
       score: sellerScore,
-      thinkingTokens: seller.totalTokens || 0
+      thinkingTokens: seller.totalTokens || 0,
+      usage: sellerUsage
     },
     buyer: {
       name: buyer.name,
       model: buyer.modelId,
+      provider: buyer.model.provider,
       estimate: buyerEst,
       score: buyerScore,
-      thinkingTokens: buyer.totalTokens || 0
+      thinkingTokens: buyer.totalTokens || 0,
+      usage: buyerUsage
     },
     dealReached,
     dealPrice,
+    // { mode, seller, buyer }: what each side was told besides its own estimate
+    information: info,
+    opener,
+    maxTurns,
+    turnNotice: !!options.turnNotice,
+    endReason,
+    walkAway,
+    // Multi-issue scenarios only: the issues played and the agreed package
+    ...(issues.length > 0 ? { issues, dealTerms } : {}),
     turns,
+    error,
+    totals,
     logs,
   };
 
-  // Save Log
-  ensureLogsDir();
-  fs.writeFileSync(
-    path.join(VIEWER_LOGS_DIR, `run_${runId}.json`),
-    JSON.stringify(result, null, 2)
-  );
-
-  // Update Manifest
-  const manifestPath = path.join(VIEWER_LOGS_DIR, "manifest.json");
-  let manifest = [];
-  if (fs.existsSync(manifestPath)) {
-    try {
-        manifest = JSON.parse(fs.readFileSync(manifestPath));
-    } catch (e) {}
-  }
-  manifest.unshift({
+  // Save the log and its summary (see runLogs.js)
+  await saveRun(result, {
     id: runId,
     tournament: tournamentId,
+    seed: options.seed ?? null,
+    pair: match.pair || null,
+    series: seriesInfo,
+    status,
+    mock,
     date: result.date,
+    scenario: scenario.id,
+    category: scenario.category,
+    currency: scenario.currency,
     item,
     trueValue,
+    zopa,
     dealReached,
     dealPrice,
+    ...(issues.length > 0 ? { dealTerms } : {}),
+    information: info.mode,
+    opener,
+    maxTurns,
+    turnNotice: !!options.turnNotice,
+    endReason,
+    walkAway,
+    error,
+    costUsd: totals.costUsd,
     seller: {
       name: seller.name,
       model: seller.modelId,
+      provider: seller.model.provider,
       estimate: sellerEst,
       score: sellerScore,
     },
     buyer: {
       name: buyer.name,
       model: buyer.modelId,
+      provider: buyer.model.provider,
       estimate: buyerEst,
       score: buyerScore,
     },
   });
-  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
 
   return result;
 }
 
+// Every match of a tournament, in playing order. Seeds and openers are fixed here, from the
+// schedule position (round, pairing), so a resumed tournament replays exactly what was planned.
+function planJobs(modelKeys, { rounds, seed, format, seriesGames, openerMode }) {
+    const jobs = [];
+    const add = (job) => jobs.push({ id: jobs.length + 1, ...job, status: 'pending', runId: null, totals: null });
+
+    // Opener of the next pair (or series game); `coinSeed` drives the random mode
+    let pairIndex = 0; // Pairs scheduled so far, for the balanced opener
+    const pickOpener = (coinSeed) => {
+        const opener = openerMode === 'random'
+            ? (createRng(coinSeed)() < 0.5 ? 'seller' : 'buyer')
+            : openerMode === 'balanced'
+                ? (pairIndex % 2 === 0 ? 'seller' : 'buyer')
+                : openerMode;
+        pairIndex++;
+        return opener;
+    };
+
+    for (let r = 0; r < rounds; r++) {
+        if (format === 'auction') {
+            // Every model sells once to all the others. The speaking order of the buyers is
+            // shuffled per auction (seeded) so nobody always gets the first word.
+            for (const sellerKey of modelKeys) {
+                const auctionSeed = hashSeed(seed, r, sellerKey, "auction");
+                const rng = createRng(hashSeed(auctionSeed, "order"));
+                const buyers = modelKeys.filter(m => m !== sellerKey)
+                    .map(m => ({ m, k: rng() }))
+                    .sort((a, b) => a.k - b.k)
+                    .map(({ m }) => m);
+                add({ kind: 'auction', round: r, seller: sellerKey, buyers, setupSeed: auctionSeed });
+            }
+            continue;
+        }
+
+        for (let i = 0; i < modelKeys.length; i++) {
+            for (let j = i + 1; j < modelKeys.length; j++) {
+                const m1 = modelKeys[i];
+                const m2 = modelKeys[j];
+
+                if (seriesGames) {
+                    // Repeated series: the pair plays `seriesGames` games in a row, each on a fresh
+                    // item with the roles swapped from game to game
+                    const seriesId = hashSeed(seed, r, m1, m2, "series").toString(16);
+                    for (let game = 1; game <= seriesGames; game++) {
+                        const [seller, buyer] = game % 2 === 1 ? [m1, m2] : [m2, m1];
+                        // Roles already alternate game by game, so "balanced" flips the opener every two games
+                        // to let both models and both roles open equally often
+                        const opener = openerMode === 'balanced'
+                            ? (Math.floor((game - 1) / 2) % 2 === 0 ? 'seller' : 'buyer')
+                            : pickOpener(hashSeed(seed, r, m1, m2, "series", game, "opener"));
+                        add({
+                            kind: 'match', round: r, seller, buyer, opener,
+                            setupSeed: hashSeed(seed, r, m1, m2, "series", game),
+                            series: { id: seriesId, game, games: seriesGames, models: [m1, m2] },
+                        });
+                    }
+                    continue;
+                }
+
+                // Both matches of a pair play the same item, true value and estimates with only
+                // the roles swapped, so they form a controlled comparison. The setup seed comes
+                // from the schedule position (round, pair), not run order.
+                const setupSeed = hashSeed(seed, r, m1, m2);
+                const pairId = hashSeed(seed, r, m1, m2, "pair").toString(16);
+                // Both matches of a pair share the opener role so the pair stays a controlled comparison
+                const opener = pickOpener(hashSeed(seed, r, m1, m2, "opener"));
+                add({ kind: 'match', round: r, seller: m1, buyer: m2, opener, setupSeed, pair: { id: pairId, slot: 1 } });
+                add({ kind: 'match', round: r, seller: m2, buyer: m1, opener, setupSeed, pair: { id: pairId, slot: 2 } });
+            }
+        }
+    }
+    return jobs;
+}
+
+// Tournament settings, as logged at the start (and again when resuming)
+function logPlanHeader(plan, modelMap, logger) {
+    const o = plan.options;
+    logger(`Scenarios (${plan.scenarios.length}): ${plan.scenarios.map(s => s.id).join(', ')}`);
+    if (o.format === 'auction') {
+        logger(`Format: auction, ${o.models.length - 1} buyers per auction, ${o.channel} channel`);
+    } else if (o.series) {
+        logger(`Format: series of ${o.series} games per pairing, roles alternating, opener: ${o.opener}`);
+    } else {
+        logger(`Opener: ${o.opener}`);
+    }
+    if (o.information) logger(`Information mode: ${o.information} (overrides scenarios)`);
+    logger(`Turn limit: ${o.maxTurns} messages per match` + (o.turnNotice ? ' (turns remaining shown to agents)' : ''));
+    if (o.zopa !== null) logger(`ZOPA width: ${o.zopa > 0 ? '+' : ''}${(o.zopa * 100).toFixed(0)}% of true value`);
+    if (o.budgetUsd !== null) {
+        const unpriced = Object.entries(modelMap).filter(([, m]) => priceFor(m) === null).map(([name]) => name);
+        logger(`Budget: ${formatCost(o.budgetUsd)}` + (unpriced.length ? ` (no price known for ${unpriced.join(', ')}, only the priced models' spend counts towards it)` : ''));
+    }
+}
+
+// Prefix every line of a match's log text with its run id, so the lines of matches running
+// side by side can be told apart ("\nStarting Match" keeps its leading blank line)
+function tagLines(runId, text) {
+    return text.split('\n').map(line => line ? `[${runId}] ${line}` : line).join('\n');
+}
+
+// Parallelism in effect, with the caps of the providers this tournament uses
+function logConcurrency(limits, modelMap, logger) {
+    if (limits.global === 1) return;
+    const providers = [...new Set(Object.values(modelMap).map(m => m.provider))]
+        .filter(p => limits.providers[p] !== undefined)
+        .map(p => `${p} ${limits.providers[p]}`);
+    logger(`Concurrency: up to ${limits.global} matches at once` + (providers.length ? ` (per provider: ${providers.join(', ')})` : ''));
+}
+
+// Play every job of `plan` that is not completed yet (pending ones, and errored ones again),
+// saving the plan after each so a crash or stop loses at most the matches in progress.
+// Matches run in parallel under the caps in `limits` (see scheduler.js); with more than one
+// at a time every match log line is tagged with its run id.
+async function executePlan(plan, modelMap, logger, { retry, signal, limits }) {
+    const o = plan.options;
+    const scenarios = plan.scenarios;
+    const matchOptions = { seed: plan.seed, scenarios, zopa: o.zopa, maxTurns: o.maxTurns, turnNotice: o.turnNotice, channel: o.channel, retry, signal };
+    const tournamentId = plan.tournament;
+
+    // Optional hard budget (USD): stop scheduling new matches once the recorded spend goes over it.
+    // A match already running is allowed to finish, so the final spend can overshoot slightly.
+    // Spend from before a resume counts too. Spend is what the priced models cost; unpriced
+    // ones count as nothing rather than voiding the whole total.
+    let status = 'completed';
+    const overBudget = () => {
+        if (o.budgetUsd === null) return false;
+        const spent = sumUsage(plan.jobs.filter(j => j.totals).map(j => j.totals)).costUsd ?? 0;
+        if (spent < o.budgetUsd) return false;
+        if (status !== 'budget_terminated') {
+            status = 'budget_terminated';
+            logger(`\n[System] Budget of ${formatCost(o.budgetUsd)} reached (${formatCost(spent)} spent). No new matches will be scheduled.`);
+        }
+        return true;
+    };
+
+    // Earlier games of a series (run logs, in game order), for the agents' memory and the totals
+    const playedGames = (series, beforeGame) => plan.jobs
+        .filter(j => j.series && j.series.id === series.id && j.series.game < beforeGame && j.runId)
+        .map(j => loadRun(j.runId))
+        .filter(Boolean);
+    const seriesTotals = (series, played) => played.reduce(cumulativeScores, Object.fromEntries(series.models.map(m => [m, 0])));
+
+    const matchLogger = (runId) => limits.global > 1 ? (text) => logger(tagLines(runId, text)) : logger;
+
+    const playJob = (job) => {
+        if (job.kind === 'auction') {
+            const setup = drawAuctionSetup(job.setupSeed, scenarios, job.buyers.length);
+            const runId = uniqueId("_a");
+            return runAuction(
+                runId,
+                { name: job.seller, model: modelMap[job.seller] },
+                job.buyers.map(m => ({ name: m, model: modelMap[m] })),
+                matchLogger(runId),
+                tournamentId,
+                matchOptions,
+                { setup }
+            );
+        }
+        const setup = drawSetup(job.setupSeed, scenarios, { zopa: o.zopa, information: o.information });
+        let suffix = job.pair ? `_${job.pair.slot}` : '';
+        let series;
+        if (job.series) {
+            // Each agent starts every game with its summary of the earlier ones, and the run
+            // logs carry the running series totals
+            const { id, game, games, models } = job.series;
+            const played = playedGames(job.series, game);
+            const memory = Object.fromEntries(models.map(m => [m, played.map(result => summarizeGame(result, m))]));
+            series = { id, game, games, memory, cumulative: seriesTotals(job.series, played) };
+            suffix = `_s${game}`;
+        }
+        const runId = uniqueId(suffix);
+        return runMatch(
+            runId,
+            { name: job.buyer, model: modelMap[job.buyer] },
+            { name: job.seller, model: modelMap[job.seller] },
+            matchLogger(runId),
+            tournamentId,
+            matchOptions,
+            { setup, opener: job.opener, pair: job.pair, series }
+        );
+    };
+
+    let round = -1;
+    let aborted = null; // The "Benchmark Aborted" error of a match cut short by a stop
+    // The scheduler needs this to never reject: a failed match or a failed save is logged and
+    // the other matches carry on
+    const runJob = async (job) => {
+        // Rounds overlap when matches run in parallel; the header marks the first start of each
+        if (job.round > round) {
+            round = job.round;
+            logger(`\n--- ROUND ${round + 1} ---`);
+        }
+        const jobLogger = matchLogger(`job ${job.id}`);
+        // The run of an earlier failed attempt, replaced by this one
+        const previousRunId = job.status === 'errored' ? job.runId : null;
+
+        let result = null;
+        try {
+            result = await playJob(job);
+            job.status = result.status === 'errored' ? 'errored' : 'completed';
+            job.runId = result.id;
+            // A retried match keeps the spend of its failed attempts: that money was spent too
+            job.totals = job.totals ? sumUsage([job.totals, result.totals]) : result.totals;
+        } catch (e) {
+            if (e.message === "Benchmark Aborted") {
+                aborted = e;
+                return;
+            }
+            jobLogger(`[System] Match failed: ${e.message}`);
+            job.status = 'errored';
+        }
+
+        try {
+            savePlan(plan);
+            if (previousRunId && result) await markSuperseded(previousRunId, result.id);
+            if (job.series && job.series.game === job.series.games) {
+                const cumulative = seriesTotals(job.series, playedGames(job.series, job.series.game + 1));
+                const total = (m) => `${cumulative[m] >= 0 ? '+' : ''}${(cumulative[m] * 100).toFixed(1)}%`;
+                const [m1, m2] = job.series.models;
+                logger(`Series ${job.series.id} complete: ${m1} ${total(m1)}, ${m2} ${total(m2)}`);
+            }
+        } catch (e) {
+            jobLogger(`[System] Could not record the match in plan ${plan.id}: ${e.message}`);
+        }
+    };
+
+    // Keep the plan's heartbeat (updatedAt) fresh through long matches, so other processes
+    // do not take it for abandoned (see resumeConflict)
+    const heartbeat = setInterval(() => {
+        try {
+            savePlan(plan);
+        } catch (e) {
+            logger(`[System] Could not save plan ${plan.id}: ${e.message}`);
+        }
+    }, HEARTBEAT_MS);
+    heartbeat.unref();
+    try {
+        await schedule(plan.jobs.filter(j => j.status !== 'completed'), {
+            limits,
+            providersOf: (job) => [...new Set([job.seller, ...(job.buyers || [job.buyer])].map(m => modelMap[m].provider))],
+            // A series game needs the earlier games of its series for the agents' memory
+            waitsFor: (job, earlier) => !!(job.series && earlier.series && earlier.series.id === job.series.id),
+            canStart: () => {
+                if (aborted || (signal && signal.aborted)) {
+                    status = 'stopped';
+                    return false;
+                }
+                return !overBudget();
+            },
+            run: runJob,
+        });
+    } finally {
+        clearInterval(heartbeat);
+        releasePlan(plan);
+    }
+    if (aborted) {
+        plan.status = 'stopped';
+        savePlan(plan);
+        throw aborted;
+    }
+
+    // A tournament that played everything but still has errored matches is not a clean finish
+    const progress = planProgress(plan);
+    if (status === 'completed' && progress.errored > 0) status = 'completed_with_errors';
+    plan.status = status;
+    plan.finishedAt = status === 'stopped' ? null : new Date().toISOString();
+    savePlan(plan);
+    // Totals cover the whole tournament, including matches played before a resume
+    const played = plan.jobs.filter(j => j.runId);
+    const totals = sumUsage(played.map(j => j.totals));
+    const ending = {
+        budget_terminated: 'Terminated (Budget)',
+        stopped: 'Stopped',
+        completed_with_errors: `Complete with ${progress.errored} errored matches`,
+    }[status] || 'Complete';
+    logger(`\nTournament ${ending}. ${played.length} matches, ${totals.inputTokens} input / ${totals.outputTokens} output tokens (${totals.reasoningTokens} reasoning), cost: ${formatCost(totals.costUsd, totals.unpriced)}`);
+    if (progress.pending + progress.errored > 0) {
+        logger(`[System] ${progress.pending} pending and ${progress.errored} errored matches left. Resume with plan ${plan.id}.`);
+    }
+    return { tournamentId, planId: plan.id, seed: plan.seed, status, matches: played.length, totals };
+}
+
 export async function runTournament(options, logger) {
     const rounds = options.rounds || 1;
-    const selectedModels = options.models || ['OPUS 4.5', 'HAIKU 4.5', 'SONNET 4.5', 'GPT 5', 'GEMINI 2.5 PRO'];
+    const selectedModels = options.models || ['OPUS_4_5', 'HAIKU_4_5', 'SONNET_4_5', 'GPT_5', 'GEMINI_2_5_PRO'];
     
     // Generate Pairs (Round Robin)
     // For each unique pair of models, run 2 games (swapping roles).
@@ -252,69 +696,178 @@ export async function runTournament(options, logger) {
     
     // Multiply by 'rounds'
     
-    // Resolve model IDs
+    // Resolve model configs up front so an unknown model fails before any match runs
     const modelMap = {};
     for (const m of selectedModels) {
-        // Strip ' 4.5' suffix if present to find the key in MODELS
-        const cleanKey = m.replace(' 4.5', '');
-        if (MODELS[cleanKey]) modelMap[m] = MODELS[cleanKey];
-        else modelMap[m] = m; // Assume raw ID
+        modelMap[m] = resolveModel(m);
     }
     const modelKeys = Object.keys(modelMap);
+
+    // Scenario set: the listed scenario ids, or the whole library. Resolved once so every
+    // match of the tournament draws from the same list. A re-run passes the stored copies
+    // of the original scenarios instead.
+    const scenarios = options.scenarios || selectScenarios(options.scenarioIds);
     
+    // Tournament seed: every random choice below derives from it, so the same seed and
+    // models reproduce the same names, scenarios and estimates
+    const seed = Number.isInteger(options.seed) ? options.seed >>> 0 : randomSeed();
+    // Optional controlled ZOPA width (fraction of the true value)
+    const zopa = Number.isFinite(options.zopa) ? options.zopa : null;
+    if (zopa !== null && Math.abs(zopa) >= 1) {
+        throw new Error(`ZOPA width must be between -100% and +100% of the true value, got ${zopa * 100}%`);
+    }
+    const maxTurns = options.maxTurns ?? DEFAULT_MAX_TURNS;
+    if (!Number.isInteger(maxTurns) || maxTurns < 2) {
+        throw new Error(`Turn limit must be an integer of at least 2, got ${options.maxTurns}`);
+    }
+    // Who speaks first: "seller" (default), "buyer", "random" (seeded coin flip per pair)
+    // or "balanced" (alternates pair by pair so each role opens half the pairs)
+    const openerMode = options.opener || 'seller';
+    if (!OPENER_MODES.includes(openerMode)) {
+        throw new Error(`Unknown opener '${openerMode}'. Use one of: ${OPENER_MODES.join(', ')}`);
+    }
+    if (options.information && !INFORMATION_MODES.includes(options.information)) {
+        throw new Error(`Unknown information mode '${options.information}'. Use one of: ${INFORMATION_MODES.join(', ')}`);
+    }
+    const format = options.format || 'bilateral';
+    if (!FORMATS.includes(format)) {
+        throw new Error(`Unknown format '${format}'. Use one of: ${FORMATS.join(', ')}`);
+    }
+    const channel = options.channel || 'private';
+    if (!AUCTION_CHANNELS.includes(channel)) {
+        throw new Error(`Unknown auction channel '${channel}'. Use one of: ${AUCTION_CHANNELS.join(', ')}`);
+    }
+    if (format === 'auction' && modelKeys.length < 3) {
+        throw new Error('Auctions need at least 3 models (one seller and two or more buyers)');
+    }
+    // Auctions draw their own setup and always let the seller open, so these one-on-one
+    // settings would be ignored; refuse them rather than record a tournament that did not use them
+    if (format === 'auction') {
+        const unsupported = [
+            zopa !== null && 'ZOPA width',
+            options.information && 'information mode',
+            openerMode !== 'seller' && 'opener',
+        ].filter(Boolean);
+        if (unsupported.length > 0) {
+            throw new Error(`Auctions do not support these one-on-one settings: ${unsupported.join(', ')}`);
+        }
+    }
+    // Repeated series: games per pairing and round (null = the usual role-swapped pair)
+    const seriesGames = options.series > 1 ? options.series : null;
+    if (options.series !== undefined && options.series !== null && (!Number.isInteger(options.series) || options.series < 1)) {
+        throw new Error(`Series length must be a positive integer, got ${options.series}`);
+    }
+    if (seriesGames && format === 'auction') {
+        throw new Error('Series are played one-on-one; they cannot be combined with the auction format');
+    }
+    // Matches at once, overall and per provider (execution settings, not part of the plan)
+    const limits = concurrencyLimits({ global: options.concurrency, providers: options.providerConcurrency });
+    const nameRng = createRng(hashSeed(seed, "name"));
+
     // Random Name Generator for Default Tournaments
     const adjectives = ['Silent', 'Brave', 'Calm', 'Swift', 'Wise', 'Eager', 'Bold', 'Bright', 'Wild', 'Grand'];
     const nouns = ['Badger', 'Eagle', 'Owl', 'Tiger', 'Wolf', 'Bear', 'Fox', 'Hawk', 'Lion', 'Falcon'];
-    const randomName = `${adjectives[Math.floor(Math.random() * adjectives.length)]} ${nouns[Math.floor(Math.random() * nouns.length)]} ${Math.floor(Math.random() * 100)}`;
+    const randomName = `${adjectives[Math.floor(nameRng() * adjectives.length)]} ${nouns[Math.floor(nameRng() * nouns.length)]} ${Math.floor(nameRng() * 100)}`;
 
     const tournamentId = options.tournamentName || randomName;
-    
-    logger(`Starting Tournament '${tournamentId}' with ${rounds} rounds for models: ${modelKeys.join(', ')}`);
 
-    for (let r = 0; r < rounds; r++) {
-        if (options.signal && options.signal.aborted) break;
-        logger(`\n--- ROUND ${r + 1} ---`);
-        for (let i = 0; i < modelKeys.length; i++) {
-            for (let j = i + 1; j < modelKeys.length; j++) {
-                if (options.signal && options.signal.aborted) break;
-                const m1 = modelKeys[i];
-                const m2 = modelKeys[j];
+    // The plan is saved before the first match so the tournament can be resumed if it is cut short.
+    // The scenarios are copied in: edits to the library must not change a half-played tournament.
+    const plan = {
+        id: uniqueId(),
+        tournament: tournamentId,
+        seed,
+        status: 'running',
+        createdAt: new Date().toISOString(),
+        finishedAt: null,
+        promptVersion: PROMPT_VERSION,
+        rerunOf: options.rerunOf || null,
+        options: {
+            models: modelKeys,
+            rounds,
+            zopa,
+            maxTurns,
+            turnNotice: !!options.turnNotice,
+            opener: format === 'auction' ? null : openerMode,
+            information: options.information || null,
+            format,
+            channel,
+            series: seriesGames,
+            budgetUsd: options.budgetUsd > 0 ? options.budgetUsd : null,
+        },
+        scenarios,
+        jobs: planJobs(modelKeys, { rounds, seed, format, seriesGames, openerMode }),
+    };
+    claimPlan(plan);
+    savePlan(plan);
 
-                // M1 Seller vs M2 Buyer
-                const runId1 = Date.now().toString() + "_1";
-                try {
-                    await runMatch(
-                        runId1,
-                        { name: m2, modelId: modelMap[m2] }, // Buyer
-                        { name: m1, modelId: modelMap[m1] }, // Seller
-                        logger,
-                        tournamentId,
-                        options
-                    );
-                } catch (e) {
-                    if (e.message === "Benchmark Aborted") throw e;
-                    console.error(e);
-                }
-                
-                if (options.signal && options.signal.aborted) break;
-
-                // M2 Seller vs M1 Buyer
-                const runId2 = Date.now().toString() + "_2";
-                try {
-                    await runMatch(
-                        runId2,
-                        { name: m1, modelId: modelMap[m1] }, // Buyer
-                        { name: m2, modelId: modelMap[m2] }, // Seller
-                        logger,
-                        tournamentId,
-                        options
-                    );
-                } catch (e) {
-                     if (e.message === "Benchmark Aborted") throw e;
-                     console.error(e);
-                }
-            }
-        }
+    logger(`Starting Tournament '${tournamentId}' with ${rounds} rounds for models: ${modelKeys.join(', ')} (seed ${seed})`);
+    logPlanHeader(plan, modelMap, logger);
+    logger(`Plan ${plan.id}: ${plan.jobs.length} matches scheduled`);
+    logConcurrency(limits, modelMap, logger);
+
+    return executePlan(plan, modelMap, logger, { retry: options.retry, signal: options.signal, limits });
+}
+
+/**
+ * Resume a saved tournament plan: only the matches not completed yet are played (pending
+ * ones, and errored ones again), with the seeds, openers and scenarios of the original start.
+ * @param {string} planId
+ * @param {Function} logger
+ * @param {{ retry?: object, signal?: AbortSignal, budgetUsd?: number, concurrency?: number, providerConcurrency?: object, force?: boolean }} options
+ *   `budgetUsd` replaces the plan's budget, e.g. to continue a tournament that ran out of it.
+ *   A plan that another process (or request) is still playing is refused (see resumeConflict)
+ *   unless `force` is set; one left "running" by a process that died resumes without it.
+ */
+export async function resumeTournament(planId, logger, options = {}) {
+    const plan = loadPlan(planId);
+    if (!plan) throw new Error(`Unknown tournament plan '${planId}'`);
+    const conflict = resumeConflict(plan);
+    if (conflict && !options.force) throw new Error(conflict);
+    if (conflict) logger(`[System] Plan ${plan.id} is still marked as being played; resuming it anyway (forced).`);
+    if (options.budgetUsd !== undefined && options.budgetUsd !== null) {
+        plan.options.budgetUsd = options.budgetUsd > 0 ? options.budgetUsd : null;
+    }
+    const modelMap = {};
+    for (const m of plan.options.models) {
+        modelMap[m] = resolveModel(m);
+    }
+    const limits = concurrencyLimits({ global: options.concurrency, providers: options.providerConcurrency });
+
+    const { total, completed } = planProgress(plan);
+    plan.status = 'running';
+    plan.finishedAt = null;
+    claimPlan(plan);
+    savePlan(plan);
+    logger(`Resuming Tournament '${plan.tournament}' (plan ${plan.id}, seed ${plan.seed}): ${completed} of ${total} matches already done`);
+    logPlanHeader(plan, modelMap, logger);
+    logConcurrency(limits, modelMap, logger);
+
+    return executePlan(plan, modelMap, logger, { retry: options.retry, signal: options.signal, limits });
+}
+
+/**
+ * Play a stored tournament again as a new tournament with the same configuration: models,
+ * rounds, seed, settings and the stored copy of its scenario set.
+ * @param {string} planId - id of the original tournament
+ * @param {Function} logger
+ * @param {{ retry?: object, signal?: AbortSignal, tournamentName?: string, concurrency?: number, providerConcurrency?: object }} options
+ */
+export async function rerunTournament(planId, logger, options = {}) {
+    const original = loadPlan(planId);
+    if (!original) throw new Error(`Unknown tournament plan '${planId}'`);
+    if (original.promptVersion !== PROMPT_VERSION) {
+        logger(`[System] Prompts changed since the original tournament (prompt version ${original.promptVersion ?? 'unknown'}, now ${PROMPT_VERSION}); results may differ beyond chance.`);
     }
-    logger("\nTournament Complete.");
+    return runTournament({
+        ...original.options,
+        seed: original.seed,
+        scenarios: original.scenarios,
+        tournamentName: options.tournamentName || `${original.tournament} (re-run)`,
+        rerunOf: original.id,
+        retry: options.retry,
+        signal: options.signal,
+        concurrency: options.concurrency,
+        providerConcurrency: options.providerConcurrency,
+    }, logger);
 }
@@ -0,0 +1,89 @@
+import { DEFAULT_MAX_TURNS } from "./agents.js";
+import { loadRunLogs } from "./runLogs.js";
+import { resolveModel } from "./models.js";
+import { computeCost } from "./pricing.js";
+
+// Assumed usage of one side of one match for models with no history yet
+// (~6 turns each, the full conversation resent every turn).
+const DEFAULT_SIDE_USAGE = { inputTokens: 6000, outputTokens: 1500 };
+
+// Usage grows with the turn limit; history and the default are both kept at the default
+// limit and scaled linearly to the one asked for (a rough fit, as matches often end early)
+const turnScale = (maxTurns) => (maxTurns || DEFAULT_MAX_TURNS) / DEFAULT_MAX_TURNS;
+
+// Number of matches runTournament schedules: every pair plays twice (roles swapped) per
+// round, or a series of `series` games; in auctions every model sells once per round
+export function matchCount(modelCount, rounds, format = "bilateral", series = null) {
+  if (format === "auction") return modelCount * rounds;
+  if (series > 1) return (modelCount * (modelCount - 1) / 2) * series * rounds;
+  return modelCount * (modelCount - 1) * rounds;
+}
+
+// Average usage of one side of one match at the default turn limit, per model ID, from past
+// completed runs. Runs logged before usage tracking only know output tokens (thinkingTokens);
+// runs from before configurable turn limits played the default.
+export function historicalAverages(runs = loadRunLogs()) {
+  const samples = {};
+  for (const run of runs) {
+    if (run.status === "errored") continue;
+    const scale = turnScale(run.maxTurns);
+    for (const side of [run.seller, ...(run.buyers || [run.buyer])]) {
+      if (!side || !side.model) continue;
+      const sample = side.usage
+        ? { inputTokens: side.usage.inputTokens / scale, outputTokens: side.usage.outputTokens / scale }
+        : { inputTokens: DEFAULT_SIDE_USAGE.inputTokens, outputTokens: (side.thinkingTokens || DEFAULT_SIDE_USAGE.outputTokens) / scale };
+      (samples[side.model] = samples[side.model] || []).push(sample);
+    }
+  }
+
+  const averages = {};
+  for (const [modelId, list] of Object.entries(samples)) {
+    averages[modelId] = {
+      inputTokens: Math.round(list.reduce((s, u) => s + u.inputTokens, 0) / list.length),
+      outputTokens: Math.round(list.reduce((s, u) => s + u.outputTokens, 0) / list.length),
+      samples: list.length,
+    };
+  }
+  return averages;
+}
+
+/**
+ * Estimate match count, tokens and USD cost of a tournament before running it.
+ * @param {{ models: string[], rounds: number, format?: string, series?: number | null, maxTurns?: number }} options
+ *   `maxTurns` is the turn limit (messages per match), DEFAULT_MAX_TURNS when omitted
+ */
+export function estimateTournament({ models, rounds = 1, format = "bilateral", series = null, maxTurns = DEFAULT_MAX_TURNS }) {
+  const averages = historicalAverages();
+  const scale = turnScale(maxTurns);
+  // Each model plays (N - 1) * 2 matches per round, one side each time. In auctions it
+  // sells once and bids in the N - 1 other auctions, which is N sides per round.
+  // A series replaces the pair with `series` games.
+  const matchesPerModel = (format === "auction" ? models.length : (models.length - 1) * (series > 1 ? series : 2)) * rounds;
+
+  const perModel = models.map(ref => {
+    const model = resolveModel(ref);
+    const history = averages[model.id];
+    const usage = history || DEFAULT_SIDE_USAGE;
+    const side = { inputTokens: Math.round(usage.inputTokens * scale), outputTokens: Math.round(usage.outputTokens * scale) };
+    const costPerMatch = computeCost(model, side);
+    return {
+      model: ref,
+      id: model.id,
+      fromHistory: Boolean(history),
+      samples: history ? history.samples : 0,
+      inputTokens: side.inputTokens * matchesPerModel,
+      outputTokens: side.outputTokens * matchesPerModel,
+      costUsd: costPerMatch === null ? null : costPerMatch * matchesPerModel,
+    };
+  });
+
+  return {
+    matches: matchCount(models.length, rounds, format, series),
+    inputTokens: perModel.reduce((s, m) => s + m.inputTokens, 0),
+    outputTokens: perModel.reduce((s, m) => s + m.outputTokens, 0),
+    // Unpriced models are left out; `unpriced` lists them so the UI can say so
+    costUsd: perModel.reduce((s, m) => s + (m.costUsd || 0), 0),
+    unpriced: perModel.filter(m => m.costUsd === null).map(m => m.model),
+    perModel,
+  };
+}
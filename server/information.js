@@ -0,0 +1,59 @@
+// Information asymmetry modes: what each side is told besides its own private
+// estimate. Set per scenario (`information` in the scenario file) or for a whole
+// tournament, which wins over the scenario.
+//
+//   private           only the own estimate (the default)
+//   public_value      both sides are told the true value
+//   opponent_range    each side gets a noisy range that contains the opponent's estimate
+//   batna             each side has an outside option it gets when there is no deal
+//   one_sided_seller  the seller knows the true value and the buyer's estimate
+//   one_sided_buyer   the buyer knows the true value and the seller's estimate
+
+export const INFORMATION_MODES = ["private", "public_value", "opponent_range", "batna", "one_sided_seller", "one_sided_buyer"];
+
+const RANGE_WIDTH = 0.2; // Opponent range width as a fraction of the true value
+const BATNA_SPREAD = 0.1; // Outside options are up to 10% better than the own estimate
+
+/**
+ * Draw the facts each side is told for a match.
+ * @param {string} mode - one of INFORMATION_MODES
+ * @param {{ trueValue: number, sellerEst: number, buyerEst: number }} setup
+ * @param {() => number} rng - seeded random source
+ * @returns {{ mode: string, seller: object, buyer: object }}
+ */
+export function drawInformation(mode, { trueValue, sellerEst, buyerEst }, rng) {
+  if (!INFORMATION_MODES.includes(mode)) {
+    throw new Error(`Unknown information mode '${mode}'. Use one of: ${INFORMATION_MODES.join(", ")}`);
+  }
+  const info = { mode, seller: {}, buyer: {} };
+
+  if (mode === "public_value") {
+    info.seller.trueValue = trueValue;
+    info.buyer.trueValue = trueValue;
+  } else if (mode === "opponent_range") {
+    // The opponent's estimate sits at a random spot inside the range, so the midpoint gives nothing away
+    const range = (estimate) => {
+      const width = RANGE_WIDTH * trueValue;
+      const low = Math.round(estimate - rng() * width);
+      return [low, Math.round(low + width)];
+    };
+    info.seller.opponentRange = range(buyerEst);
+    info.buyer.opponentRange = range(sellerEst);
+  } else if (mode === "batna") {
+    // Only an outside option better than the own valuation matters: the seller can sell
+    // elsewhere above its estimate, the buyer can buy elsewhere below it
+    info.seller.batna = Math.round(sellerEst * (1 + rng() * BATNA_SPREAD));
+    info.buyer.batna = Math.round(buyerEst * (1 - rng() * BATNA_SPREAD));
+  } else if (mode === "one_sided_seller") {
+    info.seller = { trueValue, opponentEstimate: buyerEst };
+  } else if (mode === "one_sided_buyer") {
+    info.buyer = { trueValue, opponentEstimate: sellerEst };
+  }
+
+  return info;
+}
+
+// The price a side can walk away to: its outside option, or its own estimate
+export function reservationPrice(info, role, estimate) {
+  return info?.[role]?.batna ?? estimate;
+}
@@ -0,0 +1,64 @@
+import { hasProvider } from "./providers/index.js";
+
+// Model registry: maps the keys used by the UI/API to a provider and the
+// provider-specific model name. Per-model options (e.g. temperature) live here
+// too so the Agent never has to guess from the model ID. `id` is what gets
+// logged and defaults to `model`.
+export const MODELS = {
+  OPUS_4_5: { provider: "anthropic", model: "claude-opus-4-5-20251101" },
+  HAIKU_4_5: { provider: "anthropic", model: "claude-haiku-4-5-20251001" },
+  SONNET_4_5: { provider: "anthropic", model: "claude-sonnet-4-5-20250929" },
+  GEMINI_FLASH_PREVIEW: { provider: "gemini", model: "gemini-3-flash-preview" },
+  GEMINI_2_5_PRO: { provider: "gemini", model: "gemini-2.5-pro" },
+  GEMINI_2_5_FLASH: { provider: "gemini", model: "gemini-2.5-flash" },
+  // GPT-5 family only accepts the default temperature of 1.0
+  GPT_5_2: { provider: "openai", model: "gpt-5.2", temperature: 1.0 },
+  GPT_5_1: { provider: "openai", model: "gpt-5.1", temperature: 1.0 },
+  GPT_5: { provider: "openai", model: "gpt-5", temperature: 1.0 },
+  GPT_5_MINI: { provider: "openai", model: "gpt-5-mini", temperature: 1.0 },
+  // Open-weight models behind an OpenAI-compatible server. `baseURL` defaults to
+  // LOCAL_OPENAI_BASE_URL (or Ollama on localhost). Any other local model can be
+  // used ad hoc as "local:<model>".
+  LLAMA_3_1_8B: { provider: "local", model: "llama3.1:8b" },
+  QWEN_2_5_14B: { provider: "local", model: "qwen2.5:14b" },
+  // Offline scripted players for demos and protocol checks (runs are flagged `mock`)
+  MOCK_BOULWARE: { provider: "mock", model: "boulware", id: "mock:boulware" },
+  MOCK_CONCEDER: { provider: "mock", model: "conceder", id: "mock:conceder" },
+  MOCK_LINEAR: { provider: "mock", model: "linear", id: "mock:linear" },
+  // Reference opponents from the negotiation literature, no LLM involved
+  BASELINE_BOULWARE: { provider: "baseline", model: "boulware", id: "baseline:boulware" },
+  BASELINE_CONCEDER: { provider: "baseline", model: "conceder", id: "baseline:conceder" },
+  BASELINE_LINEAR: { provider: "baseline", model: "linear", id: "baseline:linear" },
+  BASELINE_TIT_FOR_TAT: { provider: "baseline", model: "titfortat", id: "baseline:titfortat" },
+  BASELINE_HARDBALL: { provider: "baseline", model: "hardball", id: "baseline:hardball" }
+};
+
+/**
+ * Resolve a model reference to a full model config.
+ * Accepts, in order: a MODELS key ("OPUS_4_5"), a model name listed in MODELS
+ * ("claude-opus-4-5-20251101"), or an explicit "provider:model" reference
+ * ("openai:gpt-4o"). Anything else throws instead of being guessed at.
+ * @returns {{ key: string, id: string, provider: string, model: string }}
+ */
+export function resolveModel(ref) {
+  if (MODELS[ref]) {
+    return { key: ref, id: MODELS[ref].model, ...MODELS[ref] };
+  }
+
+  const byName = Object.entries(MODELS).find(([, conf]) => (conf.id || conf.model) === ref);
+  if (byName) {
+    const [key, conf] = byName;
+    return { key, id: conf.model, ...conf };
+  }
+
+  const sep = typeof ref === "string" ? ref.indexOf(":") : -1;
+  if (sep > 0) {
+    const provider = ref.slice(0, sep);
+    const model = ref.slice(sep + 1);
+    if (hasProvider(provider) && model) {
+      return { key: ref, id: ref, provider, model };
+    }
+  }
+
+  throw new Error(`Unknown model '${ref}'. Add it to MODELS or use a 'provider:model' reference.`);
+}
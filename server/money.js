@@ -0,0 +1,12 @@
+// Money formatting shared by the server (prompts, logs) and the viewer. No Node imports,
+// so the browser bundle can use it too.
+
+// "$12,340" / "-$12,340" for USD, "12,340 EUR" / "-12,340 EUR" otherwise. The sign goes
+// before the symbol, and the grouping is fixed to en-US so prompts do not depend on the
+// host's locale.
+export function formatMoney(amount, currency = "USD") {
+  const digits = Math.abs(amount).toLocaleString("en-US");
+  const sign = amount < 0 ? "-" : "";
+  if (currency === "USD") return `${sign}$${digits}`;
+  return `${sign}${digits} ${currency}`;
+}
@@ -0,0 +1,150 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { sumUsage } from "./pricing.js";
+import { VIEWER_LOGS_DIR, listRuns, writeFileAtomic } from "./runLogs.js";
+
+// Tournament plans: written when a tournament starts, with every scheduled match (round,
+// pairing, roles, seeds, opener) as a job. Each job is marked as its match finishes, so an
+// interrupted tournament can be resumed by running only the jobs that are not done.
+//
+// A plan is also the tournament's record: id, name (`tournament`, as on the run logs),
+// created/finished timestamps, status, prompt version, settings (`options`) and the exact
+// scenario set, which is all a re-run with the same configuration needs.
+//
+// Plans live next to the run logs in public/logs/plans, one plan_<id>.json per tournament.
+//
+// While a plan is being played it records its owner (host and pid) and is saved at least
+// every HEARTBEAT_MS, so another process can tell a plan that is really running from one
+// whose process died and left it marked "running".
+
+export const PLANS_DIR = path.join(VIEWER_LOGS_DIR, "plans");
+export const HEARTBEAT_MS = 60 * 1000;
+// A running plan not saved for this long has lost its owner
+const STALE_MS = 5 * HEARTBEAT_MS;
+
+// Ids of the plans this process is playing right now
+const playing = new Set();
+
+function planPath(id) {
+  // Plan ids are timestamps with random hex; anything else could point outside the plans directory
+  if (!/^[\w-]+$/.test(String(id))) throw new Error(`Invalid plan id '${id}'`);
+  return path.join(PLANS_DIR, `plan_${id}.json`);
+}
+
+// Written through a temporary file so a crash mid-write never leaves a truncated plan behind
+export function savePlan(plan) {
+  if (!fs.existsSync(PLANS_DIR)) {
+    fs.mkdirSync(PLANS_DIR, { recursive: true });
+  }
+  plan.updatedAt = new Date().toISOString();
+  writeFileAtomic(planPath(plan.id), JSON.stringify(plan, null, 2));
+  return plan;
+}
+
+// The plan with this id, or null when there is none
+export function loadPlan(id) {
+  const file = planPath(id);
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file));
+}
+
+// Mark the plan as played by this process (save it afterwards)
+export function claimPlan(plan) {
+  plan.owner = { host: os.hostname(), pid: process.pid };
+  playing.add(plan.id);
+}
+
+// This process is done playing the plan
+export function releasePlan(plan) {
+  playing.delete(plan.id);
+}
+
+// Whether the process playing a "running" plan is still at it: its heartbeat is recent
+// and, on this host, its process still exists (and, for this process, still plays it)
+function ownerAlive(plan) {
+  if (Date.now() - new Date(plan.updatedAt) > STALE_MS) return false;
+  const { owner } = plan;
+  if (!owner || owner.host !== os.hostname()) return true;
+  if (owner.pid === process.pid) return playing.has(plan.id);
+  try {
+    process.kill(owner.pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === "EPERM"; // Exists, but belongs to another user
+  }
+}
+
+// Why the plan cannot be resumed right now, or null when it can. A plan whose owner is
+// still playing it would have its pending matches played twice; a plan left "running" by a
+// process that died is free to resume. Forcing the resume overrides the check.
+export function resumeConflict(plan) {
+  if (plan.status !== "running" || !ownerAlive(plan)) return null;
+  const owner = plan.owner ? ` by process ${plan.owner.pid} on ${plan.owner.host}` : "";
+  return `Tournament plan ${plan.id} is already running${owner} (last saved ${plan.updatedAt}). ` +
+    "If that process is stuck rather than playing, resume it with force.";
+}
+
+// How far a plan got: jobs done, failed and still to run
+export function planProgress(plan) {
+  const count = (status) => plan.jobs.filter(j => j.status === status).length;
+  return { total: plan.jobs.length, completed: count("completed"), errored: count("errored"), pending: count("pending") };
+}
+
+/**
+ * Summary stats of a tournament from the summaries of its played matches.
+ * @param {object} plan
+ * @param {object[]} manifest - run summaries, all stored ones by default (see listRuns)
+ * @returns {{ matches: number, deals: number, errored: number, costUsd: number|null, unpriced: boolean, averageScores: object[] }}
+ *   costUsd is the priced models' spend, `unpriced` is set when some spend had no known price
+ *   averageScores is [{ model, score, matches }] best first, over the runs that did not error
+ */
+export function tournamentStats(plan, manifest = listRuns()) {
+  const runIds = new Set(plan.jobs.filter(j => j.runId).map(j => j.runId));
+  const runs = manifest.filter(r => runIds.has(r.id));
+  const scores = {}; // Model key -> scores
+  for (const run of runs.filter(r => r.status !== "errored")) {
+    // Auctions list every buyer, one-on-one matches the single buyer
+    for (const side of [run.seller, ...(run.buyers || [run.buyer])]) {
+      (scores[side.name] = scores[side.name] || []).push(side.score);
+    }
+  }
+  const totals = sumUsage(plan.jobs.filter(j => j.totals).map(j => j.totals));
+  return {
+    matches: runs.length,
+    deals: runs.filter(r => r.dealReached).length,
+    errored: runs.filter(r => r.status === "errored").length,
+    costUsd: totals.costUsd,
+    unpriced: totals.unpriced,
+    averageScores: Object.entries(scores)
+      .map(([model, s]) => ({ model, score: s.reduce((a, b) => a + b, 0) / s.length, matches: s.length }))
+      .sort((a, b) => b.score - a.score),
+  };
+}
+
+// Every plan's summary (without the job list and scenarios) with progress, stats and whether
+// it is being played right now (`active`), newest first
+export function listPlans() {
+  if (!fs.existsSync(PLANS_DIR)) return [];
+  const manifest = listRuns();
+  return fs.readdirSync(PLANS_DIR)
+    .filter(f => f.startsWith("plan_") && f.endsWith(".json"))
+    .map(f => {
+      try {
+        const plan = JSON.parse(fs.readFileSync(path.join(PLANS_DIR, f)));
+        const { jobs, scenarios, ...record } = plan;
+        return {
+          ...record,
+          active: resumeConflict(plan) !== null,
+          scenarioIds: scenarios.map(s => s.id),
+          progress: planProgress(plan),
+          stats: tournamentStats(plan, manifest),
+        };
+      } catch (e) {
+        console.warn(`Skipping unreadable plan ${f}`);
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
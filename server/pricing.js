@@ -0,0 +1,67 @@
+// Per-model list prices in USD per 1M tokens, keyed by provider model name.
+// Reasoning/thinking tokens are billed as output by every provider here.
+// Check the providers' pricing pages when adding models; a model config can
+// also carry its own `pricing: { input, output }` which takes precedence.
+export const PRICES = {
+  "claude-opus-4-5-20251101": { input: 5, output: 25 },
+  "claude-sonnet-4-5-20250929": { input: 3, output: 15 },
+  "claude-haiku-4-5-20251001": { input: 1, output: 5 },
+  "gpt-5.2": { input: 1.75, output: 14 },
+  "gpt-5.1": { input: 1.25, output: 10 },
+  "gpt-5": { input: 1.25, output: 10 },
+  "gpt-5-mini": { input: 0.25, output: 2 },
+  "gemini-3-flash-preview": { input: 0.5, output: 3 },
+  "gemini-2.5-pro": { input: 1.25, output: 10 },
+  "gemini-2.5-flash": { input: 0.3, output: 2.5 },
+};
+
+// Providers that cost nothing to call
+const FREE_PROVIDERS = ["local", "mock", "baseline"];
+
+export function priceFor(model) {
+  if (model.pricing) return model.pricing;
+  if (FREE_PROVIDERS.includes(model.provider)) return { input: 0, output: 0 };
+  return PRICES[model.model] || null;
+}
+
+/**
+ * USD cost of one call, or null when the model has no known price.
+ * @param {object} model - resolved config from resolveModel()
+ * @param {{ inputTokens: number, outputTokens: number }} usage
+ */
+export function computeCost(model, usage) {
+  const price = priceFor(model);
+  if (!price || !usage) return null;
+  return (usage.inputTokens * price.input + usage.outputTokens * price.output) / 1e6;
+}
+
+// Sum usage/latency/cost records. costUsd adds up the priced records and `unpriced` flags a
+// total that leaves some out (a record with no known price, or a partial total itself), so a
+// mixed total is a lower bound rather than lost. Only when nothing is priced is costUsd null,
+// so an unknown price is never shown as $0.
+export function sumUsage(records) {
+  const total = { inputTokens: 0, outputTokens: 0, reasoningTokens: 0, latencyMs: 0, costUsd: 0, unpriced: false };
+  let priced = 0;
+  for (const r of records) {
+    total.inputTokens += r.inputTokens || 0;
+    total.outputTokens += r.outputTokens || 0;
+    total.reasoningTokens += r.reasoningTokens || 0;
+    total.latencyMs += r.latencyMs || 0;
+    if (r.costUsd === null || r.costUsd === undefined) {
+      total.unpriced = true;
+    } else {
+      total.costUsd += r.costUsd;
+      priced++;
+      if (r.unpriced) total.unpriced = true;
+    }
+  }
+  if (records.length > 0 && priced === 0) total.costUsd = null;
+  return total;
+}
+
+// For logs: null cost = model without a known price; `unpriced` marks a total that leaves
+// some models out
+export function formatCost(costUsd, unpriced = false) {
+  if (costUsd === null) return "unknown (unpriced model)";
+  return `$${costUsd.toFixed(4)}` + (unpriced ? " (excluding unpriced models)" : "");
+}
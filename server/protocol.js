@@ -0,0 +1,131 @@
+// The agent response protocol: the JSON Schema every turn must match, a small
+// validator for it and the repair prompt sent when a model gets it wrong.
+// Providers pass the schema to their native structured output mode; the
+// validator is the backstop for providers (or models) that ignore it.
+
+export const RESPONSE_SCHEMA = {
+  type: "object",
+  properties: {
+    thought: { type: "string", description: "Internal reasoning about the offer and strategy" },
+    message: { type: "string", description: "The actual message to send to the opponent" },
+    offer: { type: ["number", "null"], description: "The price being proposed or accepted, or null" },
+    deal: { type: "boolean", description: "True ONLY when accepting the opponent's previous offer" },
+    walk_away: { type: "boolean", description: "True to end the negotiation now with no deal" },
+  },
+  required: ["thought", "message", "offer", "deal", "walk_away"],
+  additionalProperties: false,
+};
+
+/**
+ * Response schema for a scenario. Multi-issue scenarios add a `terms` package
+ * ({ issueId: option }) that travels with every offer; single-issue scenarios use
+ * RESPONSE_SCHEMA unchanged.
+ * @param {{ id: string, label: string, options: string[] }[]} issues
+ */
+export function responseSchema(issues = []) {
+  if (issues.length === 0) return RESPONSE_SCHEMA;
+  return {
+    ...RESPONSE_SCHEMA,
+    properties: {
+      ...RESPONSE_SCHEMA.properties,
+      terms: {
+        type: ["object", "null"],
+        description: "The option chosen for every other issue in the package, or null with no offer",
+        properties: Object.fromEntries(issues.map(issue => [
+          issue.id,
+          { type: "string", enum: issue.options, description: issue.label },
+        ])),
+        required: issues.map(issue => issue.id),
+        additionalProperties: false,
+      },
+    },
+    required: [...RESPONSE_SCHEMA.required, "terms"],
+  };
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+function matchesType(type, value) {
+  const actual = typeOf(value);
+  if (type === "integer") return Number.isInteger(value);
+  if (type === "number") return actual === "number" && Number.isFinite(value);
+  return actual === type;
+}
+
+/**
+ * Validate a value against the subset of JSON Schema used by the protocol
+ * (type, enum, minimum, maximum, properties, required, additionalProperties, items).
+ * @returns {string[]} human-readable errors, empty when valid
+ */
+export function validate(schema, value, path = "response") {
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesType(t, value))) {
+      return [`${path} must be ${types.join(" or ")}, got ${typeOf(value)}`];
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.map(v => JSON.stringify(v)).join(", ")}`);
+  }
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be <= ${schema.maximum}`);
+  }
+
+  if (typeOf(value) === "object") {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key} is required`);
+    }
+    for (const [key, v] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validate(properties[key], v, `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      }
+    }
+  }
+
+  if (typeOf(value) === "array" && schema.items) {
+    value.forEach((item, i) => errors.push(...validate(schema.items, item, `${path}[${i}]`)));
+  }
+
+  return errors;
+}
+
+/**
+ * Parse a raw model reply and validate it.
+ * Structured output should give bare JSON; otherwise fall back to the first {...} block
+ * in case the model wrapped it in markdown.
+ * @returns {{ data: object | null, errors: string[] }}
+ */
+export function parseResponse(text, schema = RESPONSE_SCHEMA) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    const jsonMatch = typeof text === "string" ? text.match(/\{[\s\S]*\}/) : null;
+    try {
+      data = jsonMatch ? JSON.parse(jsonMatch[0]) : undefined;
+    } catch (e2) {
+      data = undefined;
+    }
+  }
+
+  if (data === undefined) {
+    return { data: null, errors: ["response is not valid JSON"] };
+  }
+  return { data, errors: validate(schema, data) };
+}
+
+export function repairPrompt(errors) {
+  return `Your previous response was invalid:
+${errors.map(e => `- ${e}`).join("\n")}
+Reply again with ONLY a JSON object matching the required output format. Do not repeat the mistake.`;
+}
@@ -0,0 +1,40 @@
+import Anthropic from "@anthropic-ai/sdk/index.js";
+
+let client = null;
+
+function getClient() {
+  if (!client) {
+    client = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY, maxRetries: 0 });
+  }
+  return client;
+}
+
+// Structured output via forced tool use: the model must call `respond`, whose
+// input schema is the response schema, so the tool input is the response.
+const TOOL_NAME = "respond";
+
+export async function chat({ model, systemPrompt, history, temperature, maxTokens, schema }) {
+  const response = await getClient().messages.create({
+    model: model.model,
+    max_tokens: maxTokens,
+    temperature,
+    system: systemPrompt,
+    messages: history,
+    ...(schema ? {
+      tools: [{ name: TOOL_NAME, description: "Send your negotiation move.", input_schema: schema }],
+      tool_choice: { type: "tool", name: TOOL_NAME },
+    } : {}),
+  });
+
+  const toolUse = response.content.find(block => block.type === "tool_use");
+  const textBlock = response.content.find(block => block.type === "text");
+
+  return {
+    text: toolUse ? JSON.stringify(toolUse.input) : (textBlock?.text || ""),
+    usage: {
+      inputTokens: response.usage?.input_tokens || 0,
+      outputTokens: response.usage?.output_tokens || 0,
+      reasoningTokens: 0, // Not reported separately (thinking is not enabled)
+    },
+  };
+}
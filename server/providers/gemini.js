@@ -0,0 +1,64 @@
+import { GoogleGenerativeAI } from "@google/generative-ai";
+
+let client = null;
+
+function getClient() {
+  if (!client) {
+    client = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+  }
+  return client;
+}
+
+// Gemini takes an OpenAPI-style subset of JSON Schema: no type unions (nullable
+// instead), no additionalProperties, no descriptions needed.
+export function toGeminiSchema(schema) {
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  const type = types.find(t => t !== "null");
+  const out = { type };
+  if (types.includes("null")) out.nullable = true;
+  if (schema.enum) out.enum = schema.enum;
+  if (schema.properties) {
+    out.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, value]) => [key, toGeminiSchema(value)])
+    );
+  }
+  if (schema.required) out.required = schema.required;
+  if (schema.items) out.items = toGeminiSchema(schema.items);
+  return out;
+}
+
+export async function chat({ model, systemPrompt, history, temperature, maxTokens, schema }) {
+  const generativeModel = getClient().getGenerativeModel({ model: model.model });
+
+  // Use generateContent statelessly with full prompt context for best results
+  let prompt = `SYSTEM:\n${systemPrompt}\n\nCONVERSATION:\n`;
+  history.forEach(h => {
+    prompt += `${h.role.toUpperCase()}: ${h.content}\n`;
+  });
+  prompt += `ASSISTANT:`; // Cue
+
+  const result = await generativeModel.generateContent({
+    contents: [{ role: 'user', parts: [{ text: prompt }] }],
+    generationConfig: {
+      maxOutputTokens: maxTokens,
+      temperature,
+      ...(schema ? {
+        responseMimeType: "application/json",
+        responseSchema: toGeminiSchema(schema),
+      } : {}),
+    }
+  });
+  const response = await result.response;
+
+  // Thinking tokens are billed as output but not included in candidatesTokenCount
+  const reasoningTokens = response.usageMetadata?.thoughtsTokenCount || 0;
+
+  return {
+    text: response.text(),
+    usage: {
+      inputTokens: response.usageMetadata?.promptTokenCount || 0,
+      outputTokens: (response.usageMetadata?.candidatesTokenCount || 0) + reasoningTokens,
+      reasoningTokens,
+    },
+  };
+}
@@ -0,0 +1,41 @@
+import * as anthropic from "./anthropic.js";
+import * as gemini from "./gemini.js";
+import * as local from "./local.js";
+import * as scripted from "./scripted.js";
+import * as openai from "./openai.js";
+
+// Provider registry. A provider is any object with
+//   chat({ model, systemPrompt, history, temperature, maxTokens, schema, negotiation })
+//     -> Promise<{ text: string, usage: { inputTokens, outputTokens, reasoningTokens } }>
+// where `model` is the resolved config from models.js, `history` is a list
+// of { role: "user" | "assistant", content } messages, `schema` is the JSON
+// Schema the reply must match (use the provider's native structured output and
+// return the JSON as `text`) and `negotiation` is the structured match state
+// (role, estimate, turn, last offer, match seed) for providers that do not read the
+// conversation text. `outputTokens` includes any reasoning tokens.
+const PROVIDERS = {
+  anthropic,
+  openai,
+  gemini,
+  local,
+  mock: scripted,
+  baseline: scripted,
+};
+
+export function registerProvider(name, provider) {
+  if (!provider || typeof provider.chat !== "function") {
+    throw new Error(`Provider '${name}' must implement chat()`);
+  }
+  PROVIDERS[name] = provider;
+}
+
+export function hasProvider(name) {
+  return Object.prototype.hasOwnProperty.call(PROVIDERS, name);
+}
+
+export function getProvider(name) {
+  if (!hasProvider(name)) {
+    throw new Error(`Unknown provider '${name}'. Registered: ${Object.keys(PROVIDERS).join(", ")}`);
+  }
+  return PROVIDERS[name];
+}
@@ -0,0 +1,27 @@
+import OpenAI from "openai";
+import { chatCompletion } from "./openai.js";
+
+// Any server exposing an OpenAI-compatible /v1/chat/completions endpoint
+// (Ollama, vLLM, llama.cpp server, LM Studio...). The base URL comes from the
+// model config (`baseURL`) or LOCAL_OPENAI_BASE_URL, so nothing here ever
+// talks to api.openai.com.
+const DEFAULT_BASE_URL = "http://localhost:11434/v1"; // Ollama
+
+const clients = new Map();
+
+function getClient(model) {
+  const baseURL = model.baseURL || process.env.LOCAL_OPENAI_BASE_URL || DEFAULT_BASE_URL;
+  if (!clients.has(baseURL)) {
+    clients.set(baseURL, new OpenAI({
+      baseURL,
+      maxRetries: 0,
+      // Local servers usually ignore the key, but the SDK refuses to start without one
+      apiKey: model.apiKey || process.env.LOCAL_OPENAI_API_KEY || "not-needed",
+    }));
+  }
+  return clients.get(baseURL);
+}
+
+export async function chat(request) {
+  return chatCompletion(getClient(request.model), request);
+}
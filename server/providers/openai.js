@@ -0,0 +1,51 @@
+import OpenAI from "openai";
+
+let client = null;
+
+function getClient() {
+  if (!client) {
+    client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY, maxRetries: 0 });
+  }
+  return client;
+}
+
+// Shared with the OpenAI-compatible provider, which only differs in the client
+// Structured output: json_schema (strict) when a schema is given, plain JSON mode
+// otherwise, nothing if the model config sets `jsonMode: false`.
+function responseFormat(model, schema) {
+  if (model.jsonMode === false) return {};
+  if (!schema) return { response_format: { type: "json_object" } };
+  return {
+    response_format: {
+      type: "json_schema",
+      json_schema: { name: "negotiation_move", strict: true, schema },
+    },
+  };
+}
+
+export async function chatCompletion(openaiClient, { model, systemPrompt, history, temperature, maxTokens, schema }) {
+  const completion = await openaiClient.chat.completions.create({
+    model: model.model,
+    messages: [
+      { role: "system", content: systemPrompt },
+      ...history
+    ],
+    temperature,
+    max_completion_tokens: maxTokens,
+    ...responseFormat(model, schema),
+  });
+
+  return {
+    text: completion.choices[0].message.content,
+    usage: {
+      inputTokens: completion.usage?.prompt_tokens || 0,
+      outputTokens: completion.usage?.completion_tokens || 0,
+      // Included in completion_tokens
+      reasoningTokens: completion.usage?.completion_tokens_details?.reasoning_tokens || 0,
+    },
+  };
+}
+
+export async function chat(request) {
+  return chatCompletion(getClient(), request);
+}
@@ -0,0 +1,39 @@
+import { createRng, hashSeed } from "../rng.js";
+import { decide } from "../strategies.js";
+
+// Deterministic scripted provider: "<provider>:<strategy>" plays one of the
+// strategies in strategies.js and returns the same JSON an LLM would. No network,
+// no API keys. Each turn draws from a seed derived from the match seed, the model,
+// role, estimate and turn, so a match replays exactly from its seed while different
+// seeds and turns get different noise.
+//
+// Registered twice: as "mock" (offline demos and protocol checks, runs flagged
+// `mock`) and as "baseline" (literature reference opponents that count as
+// regular contestants).
+
+// Rough token estimate so usage tracking and charts still have data
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+export async function chat({ model, systemPrompt, history, negotiation }) {
+  if (!negotiation) {
+    throw new Error(`The ${model.provider} provider needs negotiation state from the Agent`);
+  }
+
+  const rng = createRng(hashSeed(
+    negotiation.seed,
+    model.id,
+    negotiation.role,
+    negotiation.privateEstimate,
+    negotiation.turn
+  ));
+  const text = JSON.stringify(decide(model.model, negotiation, rng));
+
+  return {
+    text,
+    usage: {
+      inputTokens: estimateTokens(systemPrompt + history.map(h => h.content).join("\n")),
+      outputTokens: estimateTokens(text),
+      reasoningTokens: 0,
+    },
+  };
+}
@@ -0,0 +1,116 @@
+import { loadRunLogs } from "./runLogs.js";
+
+// Glicko ratings over every stored one-on-one run, recomputed from scratch on each call
+// so a changed or deleted run log is always reflected.
+//
+// Runs are replayed in date order. Each match is a game between the two models: the side
+// with the clearly higher score (more than DRAW_MARGIN apart) wins, otherwise it is a
+// draw, which includes most no-deal endings. Unlike average scores, a rating accounts for
+// who the points were won against, and the rating deviation (RD) says how sure it is.
+//
+// Two pools are kept: the overall rating, and role ratings where the seller's seller
+// rating plays the buyer's buyer rating.
+// Auctions (several buyers, one winner), errored runs and, unless asked for, mock runs
+// are left out.
+
+const INITIAL_RATING = 1500;
+const INITIAL_RD = 350;
+const MIN_RD = 30; // Keeps a long history from freezing a rating completely
+const DRAW_MARGIN = 0.01; // Score difference (1% of the estimate) below which a match is a draw
+const Q = Math.log(10) / 400;
+
+// Glicko's attenuation for an opponent with rating deviation `rd`
+function g(rd) {
+  return 1 / Math.sqrt(1 + (3 * Q * Q * rd * rd) / (Math.PI * Math.PI));
+}
+
+function expected(player, opponent) {
+  return 1 / (1 + Math.pow(10, (-g(opponent.rd) * (player.rating - opponent.rating)) / 400));
+}
+
+// New { rating, rd } of `player` after one game against `opponent` with result `s` (1, 0.5 or 0)
+function update(player, opponent, s) {
+  const e = expected(player, opponent);
+  const gj = g(opponent.rd);
+  const dSquared = 1 / (Q * Q * gj * gj * e * (1 - e));
+  const denominator = 1 / (player.rd * player.rd) + 1 / dSquared;
+  return {
+    rating: player.rating + (Q / denominator) * gj * (s - e),
+    rd: Math.max(MIN_RD, Math.sqrt(1 / denominator)),
+  };
+}
+
+function newEntry() {
+  return { rating: INITIAL_RATING, rd: INITIAL_RD, games: 0, wins: 0, draws: 0, losses: 0 };
+}
+
+// Play one game in a pool: both sides are updated from their ratings before the game
+function playGame(pool, a, b, s) {
+  const ra = (pool[a] = pool[a] || newEntry());
+  const rb = (pool[b] = pool[b] || newEntry());
+  const nextA = update(ra, rb, s);
+  const nextB = update(rb, ra, 1 - s);
+  for (const [entry, next, result] of [[ra, nextA, s], [rb, nextB, 1 - s]]) {
+    entry.rating = next.rating;
+    entry.rd = next.rd;
+    entry.games++;
+    if (result === 1) entry.wins++;
+    else if (result === 0) entry.losses++;
+    else entry.draws++;
+  }
+}
+
+// Rounded rating with its 95% interval
+function summary(entry) {
+  if (!entry) return null;
+  return {
+    rating: Math.round(entry.rating),
+    rd: Math.round(entry.rd),
+    interval: [Math.round(entry.rating - 1.96 * entry.rd), Math.round(entry.rating + 1.96 * entry.rd)],
+    games: entry.games,
+    wins: entry.wins,
+    draws: entry.draws,
+    losses: entry.losses,
+  };
+}
+
+/**
+ * Compute ratings from stored run logs.
+ * @param {object[]} runs - run logs, all of public/logs by default
+ * @param {{ includeMock?: boolean }} options
+ * @returns {{ method: string, runs: number, models: object[] }} models sorted by rating
+ */
+export function computeRatings(runs = loadRunLogs(), { includeMock = false } = {}) {
+  const games = runs
+    .filter(run => run.type !== "auction" && run.status !== "errored" && (includeMock || !run.mock))
+    .filter(run => run.seller?.model && run.buyer?.model)
+    .sort((a, b) => new Date(a.date) - new Date(b.date) || String(a.id).localeCompare(String(b.id)));
+
+  const overall = {};
+  const roles = {}; // "seller:<model>" and "buyer:<model>" players
+  const names = {}; // Model id -> MODELS key it was last run under
+
+  for (const run of games) {
+    const diff = run.seller.score - run.buyer.score;
+    const s = diff > DRAW_MARGIN ? 1 : diff < -DRAW_MARGIN ? 0 : 0.5; // From the seller's side
+    playGame(overall, run.seller.model, run.buyer.model, s);
+    // A model's seller and buyer are separate players here, so their ratings can differ
+    playGame(roles, `seller:${run.seller.model}`, `buyer:${run.buyer.model}`, s);
+    names[run.seller.model] = run.seller.name;
+    names[run.buyer.model] = run.buyer.name;
+  }
+
+  const models = Object.keys(overall)
+    .map(model => ({
+      model,
+      name: names[model],
+      ...summary(overall[model]),
+      roles: {
+        seller: summary(roles[`seller:${model}`]),
+        buyer: summary(roles[`buyer:${model}`]),
+      },
+    }))
+    .sort((a, b) => b.rating - a.rating);
+
+  return { method: "glicko", runs: games.length, models };
+}
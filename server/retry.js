@@ -0,0 +1,104 @@
+// Retry with exponential backoff and full jitter for provider calls.
+// SDK-level retries are disabled in the provider clients so this is the only
+// retry layer and its settings are what actually applies.
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+// Read lazily so values from .env (loaded after imports) are picked up
+export function defaultRetry() {
+  return {
+    retries: envInt("PROVIDER_MAX_RETRIES", 4),
+    baseDelayMs: envInt("PROVIDER_RETRY_BASE_MS", 1000),
+    maxDelayMs: envInt("PROVIDER_RETRY_MAX_MS", 60000),
+  };
+}
+
+const NETWORK_ERROR_CODES = ["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EAI_AGAIN", "EPIPE", "UND_ERR_SOCKET"];
+
+// HTTP status of an SDK error, if any (OpenAI/Anthropic: .status, Gemini fetch errors: .status)
+function errorStatus(error) {
+  return error?.status ?? error?.statusCode ?? null;
+}
+
+export function isRetryable(error) {
+  const status = errorStatus(error);
+  if (status === null || status === undefined) {
+    // No HTTP response at all: only retry transport failures, not bugs
+    // SDKs wrap the fetch failure, so walk the cause chain
+    for (let e = error; e; e = e.cause) {
+      if (NETWORK_ERROR_CODES.includes(e.code)) return true;
+      if (/Connection|Timeout/.test(e.constructor?.name || "")) return true;
+      if (e.message === "fetch failed") return true;
+    }
+    return false;
+  }
+  return status === 408 || status === 409 || status === 429 || status >= 500;
+}
+
+function readHeader(headers, name) {
+  if (!headers) return null;
+  if (typeof headers.get === "function") return headers.get(name);
+  return headers[name] ?? null;
+}
+
+// Delay requested by the provider via retry-after(-ms), in milliseconds
+export function retryAfterMs(error) {
+  const headers = error?.headers;
+  const ms = parseFloat(readHeader(headers, "retry-after-ms"));
+  if (!Number.isNaN(ms)) return ms;
+
+  const value = readHeader(headers, "retry-after");
+  if (!value) return null;
+  const seconds = parseFloat(value);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  // HTTP-date form
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new Error("Benchmark Aborted"));
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new Error("Benchmark Aborted"));
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Call `fn` until it succeeds, a non-retryable error is thrown or the retry
+ * budget is spent. The last error is rethrown with `attempts` set on it.
+ * @param {() => Promise<any>} fn
+ * @param {{ retries?: number, baseDelayMs?: number, maxDelayMs?: number, signal?: AbortSignal, onRetry?: (error: Error, attempt: number, delayMs: number) => void }} options
+ */
+export async function withRetry(fn, options = {}) {
+  const defaults = defaultRetry();
+  const retries = options.retries ?? defaults.retries;
+  const baseDelayMs = options.baseDelayMs ?? defaults.baseDelayMs;
+  const maxDelayMs = options.maxDelayMs ?? defaults.maxDelayMs;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt > retries || !isRetryable(error)) {
+        error.attempts = attempt;
+        throw error;
+      }
+      // Full jitter: uniform in [0, base * 2^n], capped; the provider's retry-after wins if longer
+      const backoff = Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+      const delayMs = Math.max(backoff, retryAfterMs(error) ?? 0);
+      if (options.onRetry) options.onRetry(error, attempt, delayMs);
+      await sleep(delayMs, options.signal);
+    }
+  }
+}
@@ -0,0 +1,25 @@
+// Seedable PRNG helpers. Math.random() cannot be seeded, so anything that has to
+// be reproducible draws from one of these instead.
+
+// FNV-1a hash of the joined parts, used to derive a 32-bit seed from strings
+export function hashSeed(...parts) {
+  const str = parts.join("|");
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// mulberry32: returns a function yielding floats in [0, 1), like Math.random
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
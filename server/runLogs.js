@@ -0,0 +1,238 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// Run storage, shared by the server and the CLI. Nothing outside this module touches the
+// files directly.
+//
+// - run_<id>.json: the full log of one match, served statically to the viewer.
+// - runs.jsonl: the index, one run summary per line in the order the runs were saved. It is
+//   only ever appended to, with one write per run, so two processes saving at the same time
+//   (say the CLI next to the server) cannot drop each other's runs. A damaged line is
+//   skipped with a warning instead of taking the whole index down.
+// - manifest.json: the summaries newest first, as the viewer loads them. It is a snapshot
+//   rebuilt from the index after every save and never read back as data. The rebuild holds
+//   manifest.json.lock, so a process cannot overwrite the manifest with an index read from
+//   before another process's save.
+//
+// Every file is replaced through a temporary file and a rename, so readers see either the
+// old or the new version, never a half-written one. Run logs from before the index are
+// imported by migrateRunLogs(): automatically (with a note on the console) the first time
+// the index is missing, or with `npm run migrate-logs`.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+// Go up one level from 'server' to 'results-viewer' root, then 'public/logs'
+export const VIEWER_LOGS_DIR = path.resolve(__dirname, "../public/logs");
+const INDEX_PATH = path.join(VIEWER_LOGS_DIR, "runs.jsonl");
+const MANIFEST_PATH = path.join(VIEWER_LOGS_DIR, "manifest.json");
+const MANIFEST_LOCK = `${MANIFEST_PATH}.lock`;
+// A lock older than this was left behind by a process that died while holding it
+const LOCK_STALE_MS = 10000;
+
+const runPath = (id) => path.join(VIEWER_LOGS_DIR, `run_${id}.json`);
+
+function ensureLogsDir() {
+  if (!fs.existsSync(VIEWER_LOGS_DIR)) {
+    fs.mkdirSync(VIEWER_LOGS_DIR, { recursive: true });
+  }
+}
+
+// The temporary name is unique per process and call, so concurrent writers never share it
+export function writeFileAtomic(file, contents) {
+  const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+  fs.writeFileSync(tmp, contents);
+  fs.renameSync(tmp, file);
+}
+
+// Ids start with a millisecond timestamp (so they sort by time), bumped within the process
+// when two are handed out in the same millisecond, plus random hex against other processes.
+// `suffix` marks the kind of run, e.g. "_1"/"_2" for the slots of a pair.
+let lastStamp = 0;
+export function uniqueId(suffix = "") {
+  lastStamp = Math.max(Date.now(), lastStamp + 1);
+  return `${lastStamp}_${crypto.randomBytes(3).toString("hex")}${suffix}`;
+}
+
+// Index lines, oldest first. A later line for the same id (e.g. from two processes importing
+// the old logs at once) replaces the earlier one's contents but keeps its place.
+function readIndex() {
+  if (!fs.existsSync(INDEX_PATH)) return [];
+  const byId = new Map();
+  fs.readFileSync(INDEX_PATH, "utf8").split("\n").forEach((line, i) => {
+    if (!line.trim()) return;
+    try {
+      const entry = JSON.parse(line);
+      byId.set(entry.id, entry);
+    } catch (e) {
+      console.warn(`Skipping unreadable line ${i + 1} of ${INDEX_PATH}`);
+    }
+  });
+  return [...byId.values()];
+}
+
+// Creates the index on first use. Reading it does not need the manifest, so the manifest
+// rebuild is left to finish in the background.
+function ensureIndex() {
+  ensureLogsDir();
+  if (!fs.existsSync(INDEX_PATH)) {
+    const { imported } = importRunLogs();
+    console.log(`Created the run index ${INDEX_PATH} from ${imported} existing run logs`);
+    refreshManifest().catch(e => console.warn(`Could not rebuild ${MANIFEST_PATH}: ${e.message}`));
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Take the manifest lock (created exclusively, so one holder at a time across processes),
+// waiting without blocking the event loop while another process holds it
+async function acquireManifestLock() {
+  while (true) {
+    try {
+      fs.closeSync(fs.openSync(MANIFEST_LOCK, "wx"));
+      return;
+    } catch (e) {
+      if (e.code !== "EEXIST") throw e;
+      try {
+        if (Date.now() - fs.statSync(MANIFEST_LOCK).mtimeMs > LOCK_STALE_MS) fs.rmSync(MANIFEST_LOCK, { force: true });
+      } catch (statError) {
+        // Released between the two calls; just try again
+      }
+      await sleep(20);
+    }
+  }
+}
+
+// Rebuilds within this process are queued one after another; the lock file orders them
+// against other processes
+let manifestQueue = Promise.resolve();
+
+// The index is read under the lock, so whoever writes the manifest last has seen every save
+// that came before it
+function refreshManifest() {
+  const rebuild = manifestQueue.then(async () => {
+    await acquireManifestLock();
+    try {
+      writeFileAtomic(MANIFEST_PATH, JSON.stringify(readIndex().reverse(), null, 2));
+    } finally {
+      fs.rmSync(MANIFEST_LOCK, { force: true });
+    }
+  });
+  manifestQueue = rebuild.catch(() => {});
+  return rebuild;
+}
+
+// Every saved run log (run_*.json), skipping unreadable files
+export function loadRunLogs() {
+  if (!fs.existsSync(VIEWER_LOGS_DIR)) return [];
+  return fs.readdirSync(VIEWER_LOGS_DIR)
+    .filter(f => f.startsWith("run_") && f.endsWith(".json"))
+    .map(f => {
+      try {
+        return JSON.parse(fs.readFileSync(path.join(VIEWER_LOGS_DIR, f)));
+      } catch (e) {
+        console.warn(`Skipping unreadable run log ${f}`);
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+// Write the full run log, then record its summary in the index and the manifest
+export async function saveRun(result, summary) {
+  ensureIndex();
+  writeFileAtomic(runPath(result.id), JSON.stringify(result, null, 2));
+  fs.appendFileSync(INDEX_PATH, JSON.stringify(summary) + "\n");
+  await refreshManifest();
+}
+
+/**
+ * Mark a run as replaced by a later attempt at the same match (an errored match played again
+ * on resume): its log and index entry get `supersededBy`, and the viewer leaves it out of
+ * the run list and totals. The index line is appended like any other, and the later line wins.
+ * @param {string} id - the replaced run
+ * @param {string} byId - the run that replaces it
+ */
+export async function markSuperseded(id, byId) {
+  ensureIndex();
+  const entry = readIndex().find(r => r.id === id);
+  if (!entry) return;
+  const run = loadRun(id);
+  if (run) writeFileAtomic(runPath(id), JSON.stringify({ ...run, supersededBy: byId }, null, 2));
+  fs.appendFileSync(INDEX_PATH, JSON.stringify({ ...entry, supersededBy: byId }) + "\n");
+  await refreshManifest();
+}
+
+// Run summaries, newest first
+export function listRuns() {
+  ensureIndex();
+  return readIndex().reverse();
+}
+
+// One saved run log by id, or null when it is missing or unreadable
+export function loadRun(id) {
+  try {
+    return JSON.parse(fs.readFileSync(runPath(id)));
+  } catch (e) {
+    return null;
+  }
+}
+
+// Manifest-style summary of a full run log: the log without the transcript, usage details
+// and per-match internals
+function summarize(run) {
+  const { logs, totals, turns, matchSeed, issues, information, seller, buyer, buyers, ...rest } = run;
+  const side = ({ usage, thinkingTokens, ...kept }) => kept;
+  return {
+    ...rest,
+    ...(information ? { information: information.mode } : {}),
+    costUsd: totals ? totals.costUsd : undefined,
+    seller: seller && side(seller),
+    ...(buyer ? { buyer: side(buyer) } : {}),
+    ...(buyers ? { buyers: buyers.map(side) } : {}),
+  };
+}
+
+// Add run logs that are not in the index yet to it, oldest first; see migrateRunLogs
+function importRunLogs() {
+  ensureLogsDir();
+  const indexed = new Set(readIndex().map(r => r.id));
+  let oldManifest = [];
+  if (!fs.existsSync(INDEX_PATH) && fs.existsSync(MANIFEST_PATH)) {
+    try {
+      oldManifest = JSON.parse(fs.readFileSync(MANIFEST_PATH));
+    } catch (e) {
+      console.warn(`Could not read ${MANIFEST_PATH}; summaries are rebuilt from the run logs`);
+    }
+  }
+  const fromManifest = new Map(oldManifest.map(entry => [entry.id, entry]));
+  // Runs the old manifest lists keep its order (it is newest first); the rest follow by date
+  const manifestPosition = new Map(oldManifest.map((entry, i) => [entry.id, oldManifest.length - i]));
+  const byDate = (a, b) => new Date(a.date) - new Date(b.date) || String(a.id).localeCompare(String(b.id));
+
+  const missing = loadRunLogs()
+    .filter(run => run.id !== undefined && !indexed.has(run.id))
+    .sort((a, b) => (manifestPosition.get(a.id) ?? Infinity) - (manifestPosition.get(b.id) ?? Infinity) || byDate(a, b));
+  const lines = missing.map(run => JSON.stringify(fromManifest.get(run.id) || summarize(run)) + "\n").join("");
+
+  if (!fs.existsSync(INDEX_PATH)) {
+    // First migration: the index appears complete or not at all
+    writeFileAtomic(INDEX_PATH, lines);
+  } else if (lines) {
+    fs.appendFileSync(INDEX_PATH, lines);
+  }
+  return { imported: missing.length, fromManifest: missing.filter(run => fromManifest.has(run.id)).length };
+}
+
+/**
+ * Import run logs that are not in the index yet, oldest first, and rebuild the manifest.
+ * Their summaries come from the old manifest.json when it has them (it was the index
+ * before), otherwise from the logs themselves. Safe to run again: runs already indexed are
+ * left alone.
+ * @returns {Promise<{ imported: number, fromManifest: number }>}
+ */
+export async function migrateRunLogs() {
+  const counts = importRunLogs();
+  await refreshManifest();
+  return counts;
+}
@@ -0,0 +1,180 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { INFORMATION_MODES } from "./information.js";
+import { validate } from "./protocol.js";
+
+// Scenario library: one JSON file per scenario in scenarios/ at the repo root,
+// named after the scenario id. Edit the files directly or go through the
+// /api/scenarios endpoints.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const SCENARIOS_DIR = path.resolve(__dirname, "../scenarios");
+
+export const CATEGORIES = ["consumer-goods", "b2b", "real-estate", "digital-assets"];
+
+// A non-price issue (warranty, delivery, payment terms...). `values` gives what each
+// option is worth to each role, in the scenario currency, on top of the price:
+// positive is good for that role, negative is a cost. Options are strings so they can
+// go straight into a JSON Schema enum.
+export const ISSUE_SCHEMA = {
+  type: "object",
+  properties: {
+    id: { type: "string" },
+    label: { type: "string" },
+    options: { type: "array", items: { type: "string" } },
+    values: {
+      type: "object",
+      properties: {
+        seller: { type: "array", items: { type: "number" } },
+        buyer: { type: "array", items: { type: "number" } },
+      },
+      required: ["seller", "buyer"],
+      additionalProperties: false,
+    },
+  },
+  required: ["id", "label", "options", "values"],
+  additionalProperties: false,
+};
+
+export const SCENARIO_SCHEMA = {
+  type: "object",
+  properties: {
+    id: { type: "string" },
+    item: { type: "string" },
+    category: { type: "string", enum: CATEGORIES },
+    description: { type: "string" },
+    trueValue: { type: "number", minimum: 0 },
+    // Estimates are drawn uniformly within trueValue * (1 +/- variance)
+    variance: { type: "number", minimum: 0, maximum: 1 },
+    currency: { type: "string" },
+    // Optional extra facts both sides are told (terms, condition, market notes...)
+    context: { type: "string" },
+    // Optional non-price issues negotiated as part of the package
+    issues: { type: "array", items: ISSUE_SCHEMA },
+    // Optional information mode (default "private"), see information.js
+    information: { type: "string", enum: INFORMATION_MODES },
+  },
+  required: ["id", "item", "category", "description", "trueValue", "variance", "currency"],
+  additionalProperties: false,
+};
+
+// Ids double as file names, so keep them to plain slugs
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+function scenarioPath(id) {
+  if (typeof id !== "string" || !ID_PATTERN.test(id)) {
+    throw new Error(`Invalid scenario id '${id}'. Use lowercase letters, digits and dashes.`);
+  }
+  return path.join(SCENARIOS_DIR, `${id}.json`);
+}
+
+export function validateScenario(scenario) {
+  const errors = validate(SCENARIO_SCHEMA, scenario, "scenario");
+  if (errors.length === 0 && !ID_PATTERN.test(scenario.id)) {
+    errors.push("scenario.id must contain only lowercase letters, digits and dashes");
+  }
+  if (errors.length === 0 && scenario.trueValue <= 0) {
+    errors.push("scenario.trueValue must be > 0");
+  }
+  (errors.length === 0 ? scenario.issues || [] : []).forEach((issue, i) => {
+    const where = `scenario.issues[${i}]`;
+    if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(issue.id)) errors.push(`${where}.id must be an identifier`);
+    if (scenario.issues.findIndex(other => other.id === issue.id) !== i) errors.push(`${where}.id '${issue.id}' is duplicated`);
+    if (issue.options.length < 2) errors.push(`${where}.options must list at least 2 options`);
+    for (const role of ["seller", "buyer"]) {
+      if (issue.values[role].length !== issue.options.length) {
+        errors.push(`${where}.values.${role} must have one value per option`);
+      }
+    }
+  });
+  return errors;
+}
+
+// What a package of terms ({ issueId: option }) is worth to `role` on top of the price
+export function termsValue(issues = [], terms, role) {
+  if (!terms) return 0;
+  return issues.reduce((sum, issue) => {
+    const index = issue.options.indexOf(terms[issue.id]);
+    return sum + (index === -1 ? 0 : issue.values[role][index]);
+  }, 0);
+}
+
+// Same package on every issue
+export function sameTerms(issues = [], a, b) {
+  return issues.every(issue => (a?.[issue.id] ?? null) === (b?.[issue.id] ?? null));
+}
+
+// Every scenario in the library, sorted by id so seeded draws do not depend on
+// directory order. Invalid files are skipped with a warning.
+export function loadScenarios() {
+  if (!fs.existsSync(SCENARIOS_DIR)) return [];
+  return fs.readdirSync(SCENARIOS_DIR)
+    .filter(f => f.endsWith(".json"))
+    .map(f => {
+      try {
+        const scenario = JSON.parse(fs.readFileSync(path.join(SCENARIOS_DIR, f)));
+        const errors = validateScenario(scenario);
+        if (errors.length > 0) {
+          console.warn(`Skipping invalid scenario ${f}: ${errors.join("; ")}`);
+          return null;
+        }
+        return scenario;
+      } catch (e) {
+        console.warn(`Skipping unreadable scenario ${f}`);
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.id.localeCompare(b.id));
+}
+
+export function getScenario(id) {
+  const file = scenarioPath(id);
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file));
+}
+
+/**
+ * Resolve the scenario set for a tournament: every scenario when `ids` is empty,
+ * otherwise exactly the listed ones. Unknown ids throw before any match runs.
+ */
+export function selectScenarios(ids) {
+  const all = loadScenarios();
+  if (!ids || ids.length === 0) {
+    if (all.length === 0) throw new Error(`No scenarios found in ${SCENARIOS_DIR}`);
+    return all;
+  }
+  const unknown = ids.filter(id => !all.some(s => s.id === id));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown scenario(s): ${unknown.join(", ")}`);
+  }
+  return all.filter(s => ids.includes(s.id));
+}
+
+/**
+ * Write a scenario file. `create` refuses to overwrite an existing id.
+ * Throws with the validation errors joined when the scenario is invalid.
+ */
+export function saveScenario(scenario, { create = false } = {}) {
+  const errors = validateScenario(scenario);
+  if (errors.length > 0) throw new Error(errors.join("; "));
+
+  const file = scenarioPath(scenario.id);
+  if (create && fs.existsSync(file)) {
+    throw new Error(`Scenario '${scenario.id}' already exists`);
+  }
+  if (!fs.existsSync(SCENARIOS_DIR)) {
+    fs.mkdirSync(SCENARIOS_DIR, { recursive: true });
+  }
+  fs.writeFileSync(file, JSON.stringify(scenario, null, 2) + "\n");
+  return scenario;
+}
+
+// Returns false when there was nothing to delete
+export function deleteScenario(id) {
+  const file = scenarioPath(id);
+  if (!fs.existsSync(file)) return false;
+  fs.unlinkSync(file);
+  return true;
+}
@@ -0,0 +1,86 @@
+// Match scheduler: runs a tournament's matches in parallel under a global cap and a cap per
+// provider, so a big tournament does not take hours while no single API gets flooded.
+//
+// Ordering is fair in the sense that jobs start in schedule order: the earliest job that
+// fits under the caps goes next. A job held back by a busy provider does not hold up jobs
+// on other providers, and it is first in line once its provider frees up, so nothing is
+// overtaken indefinitely.
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+// Default caps per provider. Providers without an entry (mock, baseline) only count
+// against the global cap.
+const PROVIDER_DEFAULTS = { anthropic: 2, openai: 2, gemini: 2, local: 1 };
+
+/**
+ * Concurrency caps, read lazily so values from .env (loaded after imports) are picked up.
+ * MAX_CONCURRENT_MATCHES sets the global cap and PROVIDER_CONCURRENCY_<NAME> (e.g.
+ * PROVIDER_CONCURRENCY_OPENAI) the cap of one provider; `overrides` wins over both.
+ * @param {{ global?: number, providers?: object }} overrides
+ * @returns {{ global: number, providers: object }}
+ */
+export function concurrencyLimits(overrides = {}) {
+  const providers = {};
+  for (const [name, fallback] of Object.entries(PROVIDER_DEFAULTS)) {
+    providers[name] = envInt(`PROVIDER_CONCURRENCY_${name.toUpperCase()}`, fallback);
+  }
+  for (const [key, value] of Object.entries(process.env)) {
+    const match = key.match(/^PROVIDER_CONCURRENCY_(\w+)$/);
+    if (match && !Number.isNaN(parseInt(value))) providers[match[1].toLowerCase()] = parseInt(value);
+  }
+  const limits = {
+    global: overrides.global ?? envInt("MAX_CONCURRENT_MATCHES", 4),
+    providers: { ...providers, ...overrides.providers },
+  };
+  for (const [name, cap] of [["global", limits.global], ...Object.entries(limits.providers)]) {
+    if (!Number.isInteger(cap) || cap < 1) {
+      throw new Error(`Concurrency for ${name === "global" ? "matches" : `provider '${name}'`} must be a positive integer, got ${cap}`);
+    }
+  }
+  return limits;
+}
+
+/**
+ * Run `jobs` (in schedule order) under the caps and resolve once every started job is done.
+ * @param {object[]} jobs
+ * @param {object} options
+ * @param {{ global: number, providers: object }} options.limits - see concurrencyLimits
+ * @param {(job) => string[]} options.providersOf - providers a job calls while it runs
+ * @param {(job, earlier) => boolean} [options.waitsFor] - true when `job` must not start
+ *   before the earlier job `earlier` has finished (e.g. games of one series)
+ * @param {() => boolean} [options.canStart] - checked before every start; false stops
+ *   scheduling (stop request, budget), jobs already running still finish
+ * @param {(job) => Promise} options.run - plays one job; must not reject
+ */
+export async function schedule(jobs, { limits, providersOf, waitsFor = () => false, canStart = () => true, run }) {
+  const waiting = [...jobs];
+  const unfinished = new Set(jobs);
+  const running = new Set();
+  const busy = {}; // Provider -> running jobs
+
+  const position = new Map(jobs.map((job, i) => [job, i]));
+
+  const fits = (job) => providersOf(job).every(p => (busy[p] || 0) < (limits.providers[p] ?? Infinity));
+  const blocked = (job) => [...unfinished].some(other => position.get(other) < position.get(job) && waitsFor(job, other));
+
+  while (true) {
+    while (running.size < limits.global && waiting.length > 0) {
+      const index = waiting.findIndex(job => fits(job) && !blocked(job));
+      if (index === -1 || !canStart()) break;
+      const [job] = waiting.splice(index, 1);
+      const providers = providersOf(job);
+      for (const p of providers) busy[p] = (busy[p] || 0) + 1;
+      const task = run(job).finally(() => {
+        for (const p of providers) busy[p]--;
+        unfinished.delete(job);
+        running.delete(task);
+      });
+      running.add(task);
+    }
+    if (running.size === 0) return;
+    await Promise.race(running);
+  }
+}
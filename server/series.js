@@ -0,0 +1,52 @@
+import { formatMoney } from "./money.js";
+
+// Repeated-game series: the same two models negotiate several items in a row, roles
+// alternating game by game. Before every game each agent gets a short summary of the
+// earlier games from its own point of view, so reputation, reciprocity and exploitation
+// can build up over the series. Scores add up over the series.
+
+const pct = (score) => `${score >= 0 ? "+" : ""}${(score * 100).toFixed(1)}%`;
+
+// How a finished game ended, from `role`'s point of view
+function outcome(result, role) {
+  const money = (amount) => formatMoney(amount, result.currency);
+  if (result.status === "errored") return "The game was cut short by a technical error (no score).";
+  if (result.dealReached) {
+    const accepted = result.logs[result.logs.length - 1]?.role === role ? "you accepted their offer" : "they accepted your offer";
+    return `Deal at ${money(result.dealPrice)} (${accepted}). Your score: ${pct(result[role].score)}.`;
+  }
+  if (result.endReason === "walk_away") {
+    return `${result.walkAway.role === role ? "You" : "Your opponent"} walked away on turn ${result.walkAway.turn}. Your score: ${pct(result[role].score)}.`;
+  }
+  const why = result.endReason === "turn_limit" ? "the turn limit was reached" : "the talks stalled with no offers";
+  return `No deal: ${why}. Your score: ${pct(result[role].score)}.`;
+}
+
+/**
+ * Summarize a finished game of a series for one of its two players.
+ * Only what that player saw is included: the opponent's offers, never its estimate.
+ * @param {object} result - run log from runMatch
+ * @param {string} name - the player's model key
+ * @returns {string}
+ */
+export function summarizeGame(result, name) {
+  const role = result.seller.name === name ? "seller" : "buyer";
+  const opponentRole = role === "seller" ? "buyer" : "seller";
+  const money = (amount) => formatMoney(amount, result.currency);
+  const theirs = result.logs.filter(l => l.role === opponentRole && l.content.offer !== null && !l.content.deal).map(l => l.content.offer);
+  const offers = theirs.length === 0
+    ? "Your opponent made no offers."
+    : theirs.length === 1
+      ? `Your opponent's only offer was ${money(theirs[0])}.`
+      : `Your opponent opened at ${money(theirs[0])} and ended at ${money(theirs[theirs.length - 1])} over ${theirs.length} offers.`;
+  return `Game ${result.series.game}: ${result.item}. You were the ${role} (your estimate ${money(result[role].estimate)}). ${offers} ${outcome(result, role)}`;
+}
+
+// Running series totals after `result`, starting from `previous` ({ modelKey: score })
+export function cumulativeScores(previous, result) {
+  const totals = { ...previous };
+  for (const side of [result.seller, result.buyer]) {
+    totals[side.name] = (totals[side.name] || 0) + (result.status === "errored" ? 0 : side.score);
+  }
+  return totals;
+}
@@ -1,7 +1,11 @@
 import cors from 'cors';
 import dotenv from 'dotenv';
 import express from 'express';
-import { runTournament } from './benchmark.js';
+import { rerunTournament, resumeTournament, runTournament } from './benchmark.js';
+import { estimateTournament } from './estimate.js';
+import { listPlans, loadPlan, planProgress, resumeConflict, tournamentStats } from './plans.js';
+import { computeRatings } from './ratings.js';
+import { deleteScenario, getScenario, loadScenarios, saveScenario } from './scenarios.js';
 
 dotenv.config();
 
@@ -16,6 +20,68 @@ app.get('/api/health', (req, res) => {
     res.json({ status: 'ok' });
 });
 
+// Pre-run estimate: match count, tokens and cost from historical per-model averages
+app.get('/api/benchmark/estimate', (req, res) => {
+    const rounds = parseInt(req.query.rounds) || 1;
+    const models = (req.query.models || '').split(',').filter(Boolean);
+    const maxTurns = parseInt(req.query.maxTurns) || undefined;
+    try {
+        res.json(estimateTournament({ models, rounds, format: req.query.format, series: parseInt(req.query.series) || null, maxTurns }));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Leaderboard: ratings recomputed from every stored run (mock runs only with mock=true)
+app.get('/api/ratings', (req, res) => {
+    try {
+        res.json(computeRatings(undefined, { includeMock: req.query.mock === 'true' }));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Scenario library (files in scenarios/)
+app.get('/api/scenarios', (req, res) => {
+    res.json(loadScenarios());
+});
+
+app.get('/api/scenarios/:id', (req, res) => {
+    try {
+        const scenario = getScenario(req.params.id);
+        if (!scenario) return res.status(404).json({ error: `Scenario '${req.params.id}' not found` });
+        res.json(scenario);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.post('/api/scenarios', (req, res) => {
+    try {
+        res.status(201).json(saveScenario(req.body, { create: true }));
+    } catch (error) {
+        res.status(error.message.includes('already exists') ? 409 : 400).json({ error: error.message });
+    }
+});
+
+app.put('/api/scenarios/:id', (req, res) => {
+    // The id in the path wins over any id in the body
+    try {
+        res.json(saveScenario({ ...req.body, id: req.params.id }));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.delete('/api/scenarios/:id', (req, res) => {
+    try {
+        if (!deleteScenario(req.params.id)) return res.status(404).json({ error: `Scenario '${req.params.id}' not found` });
+        res.status(204).end();
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
 // Global controller to manage the active benchmark
 let activeController = null;
 
@@ -41,7 +107,123 @@ app.get('/api/benchmark/start', async (req, res) => {
     const modelsParam = req.query.models;
     const models = modelsParam.split(',');
     const tournamentName = req.query.tournamentName || '';
+    // Optional override of provider retries (defaults come from PROVIDER_MAX_RETRIES)
+    const retries = req.query.retries !== undefined ? parseInt(req.query.retries) : undefined;
+    const retry = Number.isNaN(retries) ? undefined : { retries };
+    // Optional hard budget in USD
+    const budgetUsd = parseFloat(req.query.budget) || null;
+    // Optional tournament seed for reproducible scenarios and estimates. Anything but a
+    // non-negative integer is refused rather than silently replaced by a random seed.
+    const seed = req.query.seed !== undefined && req.query.seed !== '' ? Number(req.query.seed) : undefined;
+    if (seed !== undefined && (!Number.isInteger(seed) || seed < 0)) {
+        return rejectStream(req, res, 400, `seed must be a non-negative integer, got '${req.query.seed}'`);
+    }
+    // Optional subset of scenario ids (comma separated); all scenarios when omitted
+    const scenarioIds = (req.query.scenarios || '').split(',').filter(Boolean);
+    // Optional turn limit (messages per match) and deadline notice
+    const maxTurns = req.query.maxTurns ? parseInt(req.query.maxTurns) : undefined;
+    const turnNotice = req.query.turnNotice === 'true' || req.query.turnNotice === '1';
+    // Optional opener: seller (default), buyer, random or balanced
+    const opener = req.query.opener || undefined;
+    // Optional information mode for every match (overrides the scenarios' own)
+    const information = req.query.information || undefined;
+    // Optional format: bilateral (default) or auction, with the auction channel (private or public)
+    const format = req.query.format || undefined;
+    const channel = req.query.channel || undefined;
+    // Optional repeated series: games per pairing, with memory of the earlier games
+    const series = req.query.series ? parseInt(req.query.series) : undefined;
+    // Optional controlled ZOPA width in percent of the true value (e.g. 10, 0, -10)
+    const zopa = req.query.zopa !== undefined && req.query.zopa !== '' ? Number(req.query.zopa) / 100 : undefined;
+    if (zopa !== undefined && !Number.isFinite(zopa)) {
+        return rejectStream(req, res, 400, `zopa must be a number (percent of the true value), got '${req.query.zopa}'`);
+    }
+    const concurrency = parseConcurrency(req.query.concurrency);
     
+    streamTournament(req, res,
+        `Initializing Benchmark: ${rounds} rounds, Models: ${models.join(', ')}` + (tournamentName ? `, Tournament: ${tournamentName}` : '') + (budgetUsd ? `, Budget: $${budgetUsd}` : ''),
+        (signal, logger) => runTournament({ rounds, models, tournamentName, retry, budgetUsd, seed, scenarioIds, zopa, maxTurns, turnNotice, opener, information, format, channel, series, concurrency, signal }, logger)
+    );
+});
+
+// Tournament records (their saved plans) with progress and summary stats, newest first.
+// unfinished=true: only those with matches left to play
+app.get('/api/tournaments', (req, res) => {
+    const tournaments = listPlans();
+    res.json(req.query.unfinished === 'true'
+        ? tournaments.filter(t => t.progress.pending + t.progress.errored > 0)
+        : tournaments);
+});
+
+// One tournament record in full: configuration, scenario set and every scheduled match
+app.get('/api/tournaments/:id', (req, res) => {
+    try {
+        const plan = loadPlan(req.params.id);
+        if (!plan) return res.status(404).json({ error: `Tournament '${req.params.id}' not found` });
+        res.json({ ...plan, progress: planProgress(plan), stats: tournamentStats(plan) });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Play a stored tournament again with the same configuration, as a new tournament streamed like /start
+app.get('/api/tournaments/:id/rerun', async (req, res) => {
+    const tournamentName = req.query.tournamentName || undefined;
+    const concurrency = parseConcurrency(req.query.concurrency);
+    streamTournament(req, res,
+        `Re-running tournament ${req.params.id}` + (tournamentName ? ` as ${tournamentName}` : ''),
+        (signal, logger) => rerunTournament(req.params.id, logger, { tournamentName, concurrency, signal })
+    );
+});
+
+// Resume a saved plan: plays only the matches that are not completed yet, streamed like /start.
+// A plan another process or request is still playing is refused (409) unless force=true.
+app.get('/api/benchmark/resume', async (req, res) => {
+    const planId = req.query.id;
+    const force = req.query.force === 'true' || req.query.force === '1';
+    try {
+        const plan = loadPlan(planId);
+        if (!plan) return rejectStream(req, res, 404, `Tournament plan '${planId}' not found`);
+        const conflict = resumeConflict(plan);
+        if (conflict && !force) return rejectStream(req, res, 409, conflict);
+    } catch (error) {
+        return rejectStream(req, res, 400, error.message);
+    }
+    const retries = req.query.retries !== undefined ? parseInt(req.query.retries) : undefined;
+    const retry = Number.isNaN(retries) ? undefined : { retries };
+    // Optional new budget in USD, e.g. to continue a tournament that ran out of it
+    const budgetUsd = req.query.budget !== undefined ? parseFloat(req.query.budget) || null : undefined;
+    const concurrency = parseConcurrency(req.query.concurrency);
+
+    streamTournament(req, res,
+        `Resuming plan ${planId}` + (budgetUsd ? `, Budget: $${budgetUsd}` : ''),
+        (signal, logger) => resumeTournament(planId, logger, { retry, budgetUsd, concurrency, force, signal })
+    );
+});
+
+// Optional matches at once (per-provider caps come from the environment, see scheduler.js).
+// Anything unparsable is passed on so the runner reports it instead of silently using the default.
+function parseConcurrency(value) {
+    if (value === undefined || value === '') return undefined;
+    const n = Number(value);
+    return Number.isInteger(n) ? n : value;
+}
+
+// Refuse a streaming request before it starts. EventSource drops the body of any non-200
+// response, so a browser stream gets the message as an 'error' event (like a failed run);
+// other clients get the status code with a JSON body.
+function rejectStream(req, res, status, text) {
+    if (!(req.headers.accept || '').includes('text/event-stream')) {
+        return res.status(status).json({ error: text });
+    }
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.write(`data: ${JSON.stringify({ type: 'error', text })}\n\n`);
+    res.end();
+}
+
+// Run a tournament over SSE: every log line as a 'log' event, then 'complete' with the summary
+// (or 'error'). `run(signal, logger)` starts it; the stop endpoint aborts it through `signal`.
+async function streamTournament(req, res, intro, run) {
     // Set headers for SSE
     res.setHeader('Content-Type', 'text/event-stream');
     res.setHeader('Cache-Control', 'no-cache');
@@ -58,8 +240,8 @@ app.get('/api/benchmark/start', async (req, res) => {
         res.write(`data: ${msg}\n\n`);
     };
     
-    const sendComplete = () => {
-        const msg = JSON.stringify({ type: 'complete' });
+    const sendComplete = (summary) => {
+        const msg = JSON.stringify({ type: 'complete', ...summary });
         res.write(`data: ${msg}\n\n`);
         res.end();
     };
@@ -86,19 +268,19 @@ app.get('/api/benchmark/start', async (req, res) => {
             }
         });
 
-        sendMessage(`Initializing Benchmark: ${rounds} rounds, Models: ${models.join(', ')}` + (tournamentName ? `, Tournament: ${tournamentName}` : ''));
+        sendMessage(intro);
         
-        await runTournament({ rounds, models, tournamentName, signal: controller.signal }, (logText) => {
+        const summary = await run(controller.signal, (logText) => {
             sendMessage(logText);
         });
         
-        sendComplete();
+        sendComplete(summary);
     } catch (error) {
         console.error("Benchmark failed:", error);
         sendError(error.toString());
         res.end();
     }
-});
+}
 
 // If we need any other API, add here.
 // For now, serving static logs is done by Vite in dev or Express in prod.
@@ -0,0 +1,131 @@
+// Scripted negotiation strategies from the negotiation literature. They need no
+// LLM: each one decides its next move from the negotiation state the Agent
+// passes to the provider.
+//
+// Time-dependent tactics (Faratin et al.): the target price moves from an
+// opening anchor towards the private estimate as
+//   target(t) = open + (estimate - open) * (t / T)^(1 / e)
+// e < 1 holds out until the deadline (Boulware), e > 1 concedes early (Conceder).
+// Tit-for-tat opens with a small concession, then mirrors the opponent's last one, and
+// takes any deal better than its reservation value once the deadline is near; hard-ball
+// never moves.
+//
+// In multi-issue scenarios every strategy asks for the options it values most and
+// judges a package by its price-equivalent: the price adjusted by what the terms are
+// worth to it. That is enough to accept integrative packages, not to propose them.
+
+import { formatMoney } from "./money.js";
+import { termsValue } from "./scenarios.js";
+
+const OPENING_MARGIN = 0.3; // Open 30% away from the private estimate
+const TFT_OPENING_CONCESSION = 0.1; // Tit-for-tat's first counter-offer gives up 10% of the gap to its estimate
+const TFT_CLOSING_PROGRESS = 0.75; // From 75% of the turn limit, tit-for-tat takes any deal short of its estimate
+
+export const STRATEGIES = {
+  boulware: { type: "time", e: 0.2 },
+  conceder: { type: "time", e: 3 },
+  linear: { type: "time", e: 1 },
+  titfortat: { type: "tit-for-tat" },
+  hardball: { type: "fixed", margin: 0.15 },
+};
+
+// Price this strategy wants to propose on the current turn
+function targetPrice(strategy, state, open) {
+  const { role, privateEstimate, turn, maxTurns, offers = [] } = state;
+
+  if (strategy.type === "fixed") {
+    return privateEstimate * (1 + (role === "seller" ? 1 : -1) * strategy.margin);
+  }
+
+  if (strategy.type === "tit-for-tat") {
+    const own = offers.filter(o => o.role === role);
+    const theirs = offers.filter(o => o.role !== role);
+    if (own.length === 0) return open;
+    const previous = own[own.length - 1].offer;
+    // Cooperate first: the first counter-offer concedes a small step whatever the opponent
+    // did. After that, move towards the opponent by as much as they just moved towards us;
+    // a retraction (moving away from us) is answered by standing still.
+    const towardsUs = role === "seller" ? 1 : -1;
+    const conceded = own.length === 1 || theirs.length < 2
+      ? Math.abs(previous - privateEstimate) * TFT_OPENING_CONCESSION
+      : Math.max(0, towardsUs * (theirs[theirs.length - 1].offer - theirs[theirs.length - 2].offer));
+    const next = role === "seller" ? previous - conceded : previous + conceded;
+    // Never concede past the private estimate
+    return role === "seller" ? Math.max(next, privateEstimate) : Math.min(next, privateEstimate);
+  }
+
+  const progress = Math.min(1, turn / maxTurns);
+  return open + (privateEstimate - open) * Math.pow(progress, 1 / strategy.e);
+}
+
+// The package this role likes best: its highest-valued option on every issue
+function preferredTerms(issues, role) {
+  return Object.fromEntries(issues.map(issue => {
+    const values = issue.values[role];
+    return [issue.id, issue.options[values.indexOf(Math.max(...values))]];
+  }));
+}
+
+/**
+ * Decide the next move.
+ * @param {string} name - key of STRATEGIES
+ * @param {{ role: "buyer" | "seller", privateEstimate: number, turn: number, maxTurns: number, lastOffer: number | null, lastOfferBy: string | null, lastTerms?: object | null, offers?: { role: string, offer: number }[], issues?: object[], information?: { batna?: number }, currency?: string }} state
+ * @param {() => number} rng - seeded random source
+ * @returns {{ thought: string, message: string, offer: number | null, deal: boolean, walk_away: boolean, terms?: object | null }}
+ */
+export function decide(name, state, rng) {
+  const strategy = STRATEGIES[name];
+  if (!strategy) {
+    throw new Error(`Unknown strategy '${name}'. Available: ${Object.keys(STRATEGIES).join(", ")}`);
+  }
+
+  const { role, turn, maxTurns, lastOffer, lastOfferBy, lastTerms = null, issues = [], information = {}, currency = "USD" } = state;
+  // With an outside option, never concede past it instead of the estimate
+  const privateEstimate = information.batna ?? state.privateEstimate;
+  state = { ...state, privateEstimate };
+  const sign = role === "seller" ? 1 : -1;
+  // Jitter the opening anchor a little so repeated games are not identical
+  const margin = OPENING_MARGIN * (0.8 + rng() * 0.4);
+  const open = privateEstimate * (1 + sign * margin);
+  const target = Math.round(targetPrice(strategy, state, open));
+
+  const opponentOffer = lastOffer !== null && lastOfferBy && lastOfferBy !== role ? lastOffer : null;
+  // Price-equivalent of the opponent's package: for the seller what it receives, for the
+  // buyer what it effectively pays. Equal to the price when there are no other issues.
+  const opponentValue = opponentOffer === null ? null : opponentOffer + sign * termsValue(issues, lastTerms, role);
+  // Accept when the opponent's offer is at least as good as what we would propose next, or
+  // (tit-for-tat near the deadline) simply better than no deal
+  const beats = (limit) => opponentValue !== null && (role === "seller" ? opponentValue >= limit : opponentValue <= limit);
+  const closing = strategy.type === "tit-for-tat" && turn / maxTurns >= TFT_CLOSING_PROGRESS;
+  const acceptable = beats(target) || (closing && beats(privateEstimate));
+  const multiIssue = issues.length > 0;
+  const money = (amount) => formatMoney(amount, currency);
+
+  if (acceptable) {
+    return {
+      thought: `${name}: offer ${money(opponentOffer)}${multiIssue ? ` (worth ${money(Math.round(opponentValue))} with its terms)` : ""} ` +
+        (beats(target) ? `beats my target of ${money(target)}` : `beats my reservation value of ${money(privateEstimate)} close to the deadline`) +
+        ` at turn ${turn}/${maxTurns}. Accepting.`,
+      message: `Deal. I accept ${money(opponentOffer)}.`,
+      offer: opponentOffer,
+      deal: true,
+      walk_away: false,
+      ...(multiIssue ? { terms: lastTerms } : {}),
+    };
+  }
+
+  // Ask for our preferred terms and shift the price by what they are worth to us
+  const terms = multiIssue ? preferredTerms(issues, role) : null;
+  const offer = multiIssue ? Math.round(target - sign * termsValue(issues, terms, role)) : target;
+
+  return {
+    thought: `${name}: target at turn ${turn}/${maxTurns} is ${money(target)} (estimate ${money(privateEstimate)}).`,
+    message: role === "seller"
+      ? `I can let it go for ${money(offer)}.`
+      : `I can pay ${money(offer)}.`,
+    offer,
+    deal: false,
+    walk_away: false,
+    ...(multiIssue ? { terms } : {}),
+  };
+}
@@ -1,7 +1,10 @@
-import { ArrowLeft, BarChart3, DollarSign, Play } from "lucide-react";
+import { ArrowLeft, BarChart3, DollarSign, ListOrdered, Play, Trophy } from "lucide-react";
 import { useEffect, useState } from "react";
 import { BenchmarkRunner } from "./BenchmarkRunner";
 import { Charts } from "./Charts";
+import { Leaderboard } from "./Leaderboard";
+import { Tournaments } from "./Tournaments";
+import { formatMoney } from "../server/money.js";
 
 export default function App() {
   const [runs, setRuns] = useState([]);
@@ -9,9 +12,13 @@ export default function App() {
   const [selectedRunData, setSelectedRunData] = useState(null);
   const [showRunner, setShowRunner] = useState(false);
   const [showCharts, setShowCharts] = useState(false);
+  const [showLeaderboard, setShowLeaderboard] = useState(false);
+  const [showTournaments, setShowTournaments] = useState(false);
+  const [rerunId, setRerunId] = useState(null); // Tournament to play again when the runner opens
   const [loading, setLoading] = useState(true);
 
   const [selectedTournament, setSelectedTournament] = useState("All");
+  const [selectedSeries, setSelectedSeries] = useState(null); // Series id, to list one series only
 
   // Load Manifest logic
   const fetchManifest = async () => {
@@ -19,7 +26,8 @@ export default function App() {
       const res = await fetch("/logs/manifest.json");
       if (res.ok) {
         const data = await res.json();
-        setRuns(data);
+        // Errored runs replaced by a successful retry are left out of the list and totals
+        setRuns(data.filter(r => !r.supersededBy));
       } else {
         // If 404, implies no logs yet.
         setRuns([]);
@@ -49,9 +57,13 @@ export default function App() {
 
   // Derived state for filtering
   const tournaments = ["All", ...new Set(runs.map(r => r.tournament || "Uncategorized").filter(Boolean))];
-  const filteredRuns = selectedTournament === "All"
+  const filteredRuns = (selectedTournament === "All"
     ? runs
-    : runs.filter(r => (r.tournament || "Uncategorized") === selectedTournament);
+    : runs.filter(r => (r.tournament || "Uncategorized") === selectedTournament))
+    .filter(r => !selectedSeries || r.series?.id === selectedSeries);
+  // Runs logged before cost tracking have no costUsd and are left out of the total
+  const pricedRuns = filteredRuns.filter(r => typeof r.costUsd === "number");
+  const totalCost = pricedRuns.reduce((sum, r) => sum + r.costUsd, 0);
 
   return (
     <div className="min-h-screen bg-slate-900 text-slate-100 font-sans">
@@ -66,8 +78,20 @@ export default function App() {
           </h1>
 
           <div className="flex gap-4">
-            {!showRunner && !selectedRunId && !showCharts && (
+            {!showRunner && !selectedRunId && !showCharts && !showLeaderboard && !showTournaments && (
               <>
+                <button
+                  onClick={() => setShowTournaments(true)}
+                  className="text-sm bg-slate-800 hover:bg-slate-700 text-white px-3 py-1 rounded flex items-center gap-1 transition-colors border border-slate-700"
+                >
+                  <ListOrdered className="w-3 h-3" /> Tournaments
+                </button>
+                <button
+                  onClick={() => setShowLeaderboard(true)}
+                  className="text-sm bg-slate-800 hover:bg-slate-700 text-white px-3 py-1 rounded flex items-center gap-1 transition-colors border border-slate-700"
+                >
+                  <Trophy className="w-3 h-3" /> Leaderboard
+                </button>
                 <button
                   onClick={() => setShowCharts(true)}
                   className="text-sm bg-slate-800 hover:bg-slate-700 text-white px-3 py-1 rounded flex items-center gap-1 transition-colors border border-slate-700"
@@ -83,12 +107,15 @@ export default function App() {
               </>
             )}
 
-            {(selectedRunId || showRunner || showCharts) && (
+            {(selectedRunId || showRunner || showCharts || showLeaderboard || showTournaments) && (
               <button
                 onClick={() => {
                   setSelectedRunId(null);
                   setShowRunner(false);
                   setShowCharts(false);
+                  setShowLeaderboard(false);
+                  setShowTournaments(false);
+                  setRerunId(null);
                   if (showRunner) fetchManifest(); // Refresh list on exit
                 }}
                 className="text-sm bg-slate-800 hover:bg-slate-700 px-3 py-1 rounded flex items-center gap-1 transition-colors"
@@ -103,10 +130,27 @@ export default function App() {
       <main className="max-w-5xl mx-auto p-4 md:p-8">
         {showCharts ? (
           <Charts onBack={() => setShowCharts(false)} />
+        ) : showLeaderboard ? (
+          <Leaderboard />
+        ) : showTournaments ? (
+          <Tournaments
+            onShowRuns={(name) => {
+              setSelectedTournament(name);
+              setShowTournaments(false);
+              fetchManifest();
+            }}
+            onRerun={(id) => {
+              setRerunId(id);
+              setShowTournaments(false);
+              setShowRunner(true);
+            }}
+          />
         ) : showRunner ? (
           <BenchmarkRunner
+            rerunId={rerunId}
             onBack={() => {
               setShowRunner(false);
+              setRerunId(null);
               fetchManifest();
             }}
             onComplete={() => {
@@ -135,14 +179,29 @@ export default function App() {
                     ))}
                   </div>
                 )}
+                {selectedSeries && (
+                  <button
+                    onClick={() => setSelectedSeries(null)}
+                    className="text-xs mt-2 px-2 py-1 rounded border bg-slate-700 border-fuchsia-500 text-white"
+                  >
+                    Series {selectedSeries} ✕
+                  </button>
+                )}
               </div>
 
-              <button
-                onClick={fetchManifest}
-                className="text-xs text-blue-400 hover:underline"
-              >
-                Refresh
-              </button>
+              <div className="flex items-center gap-4">
+                {pricedRuns.length > 0 && (
+                  <span className="text-xs text-slate-400 font-mono" title={`${pricedRuns.length} of ${filteredRuns.length} runs have cost data`}>
+                    Total cost: {formatCost(totalCost)}
+                  </span>
+                )}
+                <button
+                  onClick={fetchManifest}
+                  className="text-xs text-blue-400 hover:underline"
+                >
+                  Refresh
+                </button>
+              </div>
             </div>
 
             {filteredRuns.length === 0 && (
@@ -152,9 +211,9 @@ export default function App() {
                     No negotiations found. Run the CLI to generate data.
                     <br />
                     <code className="bg-slate-800 px-2 py-1 rounded text-orange-300 mt-2 block w-fit mx-auto">
-                      npm start
+                      npm run benchmark -- --models A,B
                     </code>{" "}
-                    (in benchmark-cli) OR click "New Benchmark Run" above.
+                    OR click "New Benchmark Run" above.
                   </>}
               </div>
             )}
@@ -177,6 +236,28 @@ export default function App() {
                             {run.tournament}
                           </span>
                         )}
+                        {run.category && (
+                          <span className="text-[10px] bg-slate-900 text-sky-400 px-1.5 py-0.5 rounded uppercase tracking-wider">
+                            {run.category}
+                          </span>
+                        )}
+                        {run.series && (
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              setSelectedSeries(run.series.id);
+                            }}
+                            title="Show only this series"
+                            className="text-[10px] bg-slate-900 text-fuchsia-400 hover:text-fuchsia-300 px-1.5 py-0.5 rounded uppercase tracking-wider"
+                          >
+                            Series {run.series.game}/{run.series.games}
+                          </button>
+                        )}
+                        {run.mock && (
+                          <span className="text-[10px] bg-amber-900/40 text-amber-400 px-1.5 py-0.5 rounded uppercase tracking-wider">
+                            Mock
+                          </span>
+                        )}
                       </div>
                       <div className="text-xs text-slate-400 mt-1">
                         {new Date(run.date).toLocaleString()}
@@ -184,15 +265,18 @@ export default function App() {
                     </div>
                     <div className="text-right justify-end flex flex-col items-end">
                       <div className="text-xs text-slate-500 mb-1">
-                        True Value: ${run.trueValue}
+                        True Value: {formatMoney(run.trueValue, run.currency)}
                       </div>
                       {/** align the deal price to the right */}
                       <div
-                        className={`text-sm font-bold px-2 py-0.5 rounded ${run.dealReached ? "bg-emerald-900/50 text-emerald-400" : "bg-red-900/50 text-red-400"} w-fit`}
+                        className={`text-sm font-bold px-2 py-0.5 rounded ${run.status === "errored" ? "bg-amber-900/50 text-amber-400" : run.dealReached ? "bg-emerald-900/50 text-emerald-400" : "bg-red-900/50 text-red-400"} w-fit`}
+                        title={run.error ? `Turn ${run.error.turn}: ${run.error.message}` : undefined}
                       >
-                        {run.dealReached
-                          ? `Sold: $${run.dealPrice}`
-                          : "NO DEAL"}
+                        {run.status === "errored"
+                          ? `ERRORED (Turn ${run.error?.turn ?? "?"})`
+                          : run.dealReached
+                            ? `Sold: ${formatMoney(run.dealPrice, run.currency)}`
+                            : "NO DEAL"}
                       </div>
                       <div className="text-xs text-slate-500 mt-1">
                         ID: {run.id}
@@ -200,42 +284,29 @@ export default function App() {
                     </div>
                   </div>
                   <div className="mt-4 grid grid-cols-2 gap-4 text-sm bg-slate-900/50 p-3 rounded border border-slate-700/50">
-                    <div>
-                      <div className="text-xs text-slate-500 uppercase font-bold">
-                        Buyer
-                      </div>
-                      <div
-                        className="text-slate-300 truncate"
-                        title={run.buyer.name}
-                      >
-                        {run.buyer.name || "Unknown"}
-                      </div>
-                      <div
-                        className={
-                          getScoreColor(run.buyer.score) + " text-xs font-mono"
-                        }
-                      >
-                        Score: {(run.buyer.score * 100).toFixed(1)}%
-                      </div>
-                    </div>
-                    <div>
-                      <div className="text-xs text-slate-500 uppercase font-bold">
-                        Seller
-                      </div>
-                      <div
-                        className="text-slate-300 truncate"
-                        title={run.seller.name}
-                      >
-                        {run.seller.name || "Unknown"}
-                      </div>
-                      <div
-                        className={
-                          getScoreColor(run.seller.score) + " text-xs font-mono"
-                        }
-                      >
-                        Score: {(run.seller.score * 100).toFixed(1)}%
+                    {[...buyerSides(run), run.seller].map((side) => (
+                      <div key={side.party || (side === run.seller ? "seller" : "buyer")}>
+                        <div className="text-xs text-slate-500 uppercase font-bold">
+                          {side === run.seller ? "Seller" : side.party ? `Buyer ${side.party.replace("buyer_", "#")}` : "Buyer"}
+                          {run.winner && run.winner === side.party && (
+                            <span className="ml-2 text-emerald-400 normal-case">won</span>
+                          )}
+                        </div>
+                        <div
+                          className="text-slate-300 truncate"
+                          title={side.name}
+                        >
+                          {side.name || "Unknown"}
+                        </div>
+                        <div
+                          className={
+                            getScoreColor(side.score) + " text-xs font-mono"
+                          }
+                        >
+                          Score: {(side.score * 100).toFixed(1)}%
+                        </div>
                       </div>
-                    </div>
+                    ))}
                   </div>
                 </div>
               ))}
@@ -244,34 +315,38 @@ export default function App() {
         ) : selectedRunData ? (
           <div>
             <div className="grid md:grid-cols-2 gap-6 mb-8">
-              {/* Buyer Card */}
-              <div className="bg-slate-800 border-l-4 border-blue-500 p-4 rounded">
-                <div className="text-blue-400 text-xs uppercase tracking-wider font-bold mb-1">
-                  Buyer
-                </div>
-                <div className="text-xl font-medium">
-                  {selectedRunData.buyer.name}
-                </div>
-                <div className="text-sm text-slate-400 font-mono mt-1">
-                  {selectedRunData.buyer.model}
-                </div>
-                <div className="mt-4 text-sm">
-                  <div className="flex justify-between border-b border-slate-700 pb-1 mb-1">
-                    <span>Estimate</span>
-                    <span className="text-slate-300">
-                      ${selectedRunData.buyer.estimate}
-                    </span>
+              {/* Buyer Cards (one per buyer in auctions) */}
+              {buyerSides(selectedRunData).map((buyer, i) => (
+                <div key={buyer.party || "buyer"} className={`bg-slate-800 border-l-4 ${BUYER_STYLES[i % BUYER_STYLES.length].border} p-4 rounded`}>
+                  <div className={`${BUYER_STYLES[i % BUYER_STYLES.length].label} text-xs uppercase tracking-wider font-bold mb-1`}>
+                    {buyer.party ? `Buyer ${buyer.party.replace("buyer_", "#")}` : "Buyer"}
+                    {selectedRunData.winner === buyer.party && buyer.party && " • Winner"}
+                    {buyer.left && ` • Left on turn ${buyer.left}`}
                   </div>
-                  <div className="flex justify-between">
-                    <span>Score</span>
-                    <span
-                      className={`font-bold ${getScoreColor(selectedRunData.buyer.score)}`}
-                    >
-                      {(selectedRunData.buyer.score * 100).toFixed(1)}%
-                    </span>
+                  <div className="text-xl font-medium">
+                    {buyer.name}
+                  </div>
+                  <div className="text-sm text-slate-400 font-mono mt-1">
+                    {buyer.model}
+                  </div>
+                  <div className="mt-4 text-sm">
+                    <div className="flex justify-between border-b border-slate-700 pb-1 mb-1">
+                      <span>Estimate</span>
+                      <span className="text-slate-300">
+                        {formatMoney(buyer.estimate, selectedRunData.currency)}
+                      </span>
+                    </div>
+                    <div className="flex justify-between">
+                      <span>Score</span>
+                      <span
+                        className={`font-bold ${getScoreColor(buyer.score)}`}
+                      >
+                        {(buyer.score * 100).toFixed(1)}%
+                      </span>
+                    </div>
                   </div>
                 </div>
-              </div>
+              ))}
 
               {/* Seller Card */}
               <div className="bg-slate-800 border-l-4 border-orange-500 p-4 rounded">
@@ -288,7 +363,7 @@ export default function App() {
                   <div className="flex justify-between border-b border-slate-700 pb-1 mb-1">
                     <span>Estimate</span>
                     <span className="text-slate-300">
-                      ${selectedRunData.seller.estimate}
+                      {formatMoney(selectedRunData.seller.estimate, selectedRunData.currency)}
                     </span>
                   </div>
                   <div className="flex justify-between">
@@ -303,9 +378,49 @@ export default function App() {
               </div>
             </div>
 
+            {selectedRunData.totals && (
+              <div className="bg-slate-800/50 border border-slate-700 rounded p-4 mb-8 overflow-x-auto">
+                <table className="w-full text-xs font-mono">
+                  <thead>
+                    <tr className="text-slate-500 text-left">
+                      <th className="pb-2 font-normal">Usage</th>
+                      <th className="pb-2 font-normal text-right">Input</th>
+                      <th className="pb-2 font-normal text-right">Output</th>
+                      <th className="pb-2 font-normal text-right">Reasoning</th>
+                      <th className="pb-2 font-normal text-right">Latency</th>
+                      <th className="pb-2 font-normal text-right">Cost</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {[
+                      ...buyerSides(selectedRunData).map(b => [b.party ? `Buyer ${b.party.replace("buyer_", "#")} (${b.name})` : "Buyer", b.usage]),
+                      ["Seller", selectedRunData.seller.usage],
+                      ["Total", selectedRunData.totals],
+                    ].map(([label, u]) => (
+                      <tr key={label} className={`border-t border-slate-700/50 ${label === "Total" ? "font-bold text-slate-200" : "text-slate-300"}`}>
+                        <td className="py-1">{label}</td>
+                        <td className="py-1 text-right">{u.inputTokens.toLocaleString()}</td>
+                        <td className="py-1 text-right">{u.outputTokens.toLocaleString()}</td>
+                        <td className="py-1 text-right">{u.reasoningTokens.toLocaleString()}</td>
+                        <td className="py-1 text-right">{(u.latencyMs / 1000).toFixed(1)}s</td>
+                        <td className="py-1 text-right">{formatCost(u.costUsd, u.unpriced)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
             <div className="space-y-4 max-w-3xl mx-auto">
               <div className="text-center text-xs text-slate-500 uppercase tracking-widest my-6">
-                Negotiation Start • True Value: ${selectedRunData.trueValue}
+                {selectedRunData.type === "auction" ? "Auction Start" : "Negotiation Start"} • True Value: {formatMoney(selectedRunData.trueValue, selectedRunData.currency)}
+                {selectedRunData.scenario && ` • Scenario: ${selectedRunData.scenario}`}
+                {selectedRunData.type === "auction" && ` • ${selectedRunData.buyers.length} buyers, ${selectedRunData.channel} channel • Limit: ${selectedRunData.maxRounds} rounds${selectedRunData.turnNotice ? " (with notice)" : ""}`}
+                {selectedRunData.maxTurns && ` • Limit: ${selectedRunData.maxTurns} messages${selectedRunData.turnNotice ? " (with notice)" : ""}`}
+                {selectedRunData.opener && ` • ${selectedRunData.opener} opens`}
+                {selectedRunData.series && ` • Series game ${selectedRunData.series.game} of ${selectedRunData.series.games}`}
+                {selectedRunData.information && selectedRunData.information.mode !== "private" && ` • Info: ${selectedRunData.information.mode}`}
+                {selectedRunData.seed !== undefined && selectedRunData.seed !== null && ` • Seed: ${selectedRunData.seed}`}
               </div>
 
               {selectedRunData.logs.map((log, i) => (
@@ -315,12 +430,20 @@ export default function App() {
                 >
                   <div
                     className={`max-w-[80%] rounded-2xl p-4 ${log.role === "buyer"
-                      ? "bg-blue-900/20 text-blue-100 rounded-tl-sm"
+                      ? `${buyerStyle(selectedRunData, log.party).bubble} rounded-tl-sm`
                       : "bg-orange-900/20 text-orange-100 rounded-tr-sm"
                       }`}
                   >
                     <div className="text-xs opacity-50 mb-1 font-bold">
                       {log.sender}
+                      {log.validation && (
+                        <span
+                          className={`ml-2 font-normal ${log.validation.errors ? "text-red-400" : "text-amber-400"}`}
+                          title={log.validation.errors ? log.validation.errors.join("\n") : "Output was invalid and fixed after a repair re-prompt"}
+                        >
+                          {log.validation.errors ? "[invalid output]" : "[repaired]"}
+                        </span>
+                      )}
                     </div>
 
                     {log.content.thought && (
@@ -338,7 +461,12 @@ export default function App() {
                     >
                       {log.content.offer !== null && (
                         <div className="text-sm font-bold bg-white/10 inline-block px-2 py-1 rounded">
-                          Proposed: ${log.content.offer}
+                          Proposed: {formatMoney(log.content.offer, selectedRunData.currency)}
+                        </div>
+                      )}
+                      {log.content.terms && (
+                        <div className="text-xs font-mono bg-white/5 inline-block px-2 py-1 rounded">
+                          {formatTerms(log.content.terms)}
                         </div>
                       )}
                       {log.content.deal && (
@@ -348,15 +476,44 @@ export default function App() {
                         </div>
                       )}
                     </div>
+
+                    {log.usage && (
+                      <div className="mt-2 text-[10px] font-mono opacity-40">
+                        {log.usage.inputTokens} in / {log.usage.outputTokens} out
+                        {log.usage.reasoningTokens > 0 && ` (${log.usage.reasoningTokens} reasoning)`}
+                        {" • "}{(log.usage.latencyMs / 1000).toFixed(1)}s • {formatCost(log.usage.costUsd)}
+                      </div>
+                    )}
                   </div>
                 </div>
               ))}
 
               <div className="text-center text-xs text-slate-500 uppercase tracking-widest my-6">
-                {selectedRunData.dealReached
-                  ? `Deal Concluded at $${selectedRunData.dealPrice}`
-                  : "Negotiation Failed (Max Turns)"}
+                {selectedRunData.status === "errored"
+                  ? `Match Errored on Turn ${selectedRunData.error.turn} (${selectedRunData.error.model}): ${selectedRunData.error.message}`
+                  : selectedRunData.type === "auction"
+                    ? selectedRunData.dealReached
+                      ? `Sold to ${selectedRunData.buyers.find(b => b.party === selectedRunData.winner).name} (${selectedRunData.winner}) at ${formatMoney(selectedRunData.dealPrice, selectedRunData.currency)}`
+                      : selectedRunData.walkAway
+                        ? selectedRunData.walkAway.role === "seller" ? `Seller Walked Away on Turn ${selectedRunData.walkAway.turn}` : "Every Buyer Left the Auction"
+                        : `Auction Failed (${selectedRunData.endReason === "turn_limit" ? "Max Rounds" : selectedRunData.endReason === "invalid_output" ? "Invalid Output" : "No Offers"})`
+                  : selectedRunData.dealReached
+                    ? `Deal Concluded at ${formatMoney(selectedRunData.dealPrice, selectedRunData.currency)}` + (selectedRunData.dealTerms ? ` • ${formatTerms(selectedRunData.dealTerms)}` : "")
+                    : selectedRunData.walkAway
+                      ? `${selectedRunData[selectedRunData.walkAway.role].name} (${selectedRunData.walkAway.role}) Walked Away on Turn ${selectedRunData.walkAway.turn}`
+                      : selectedRunData.endReason === "stalled"
+                        ? "Negotiation Failed (No Offers)"
+                        : selectedRunData.endReason === "invalid_output"
+                          ? "Negotiation Failed (Invalid Output)"
+                          : "Negotiation Failed (Max Turns)"}
               </div>
+
+              {selectedRunData.series && (
+                <div className="text-center text-xs text-fuchsia-400/80 font-mono -mt-4 mb-6">
+                  Series score after game {selectedRunData.series.game}:{" "}
+                  {Object.entries(selectedRunData.series.cumulative).map(([model, score]) => `${model} ${(score * 100).toFixed(1)}%`).join(" • ")}
+                </div>
+              )}
             </div>
           </div>
         ) : null}
@@ -365,6 +522,36 @@ export default function App() {
   );
 }
 
+// Every buyer of a run: one in a regular match, several in an auction
+function buyerSides(run) {
+  return run.buyers || [run.buyer];
+}
+
+// Auction buyers get a color each; a regular match's buyer keeps the first (blue)
+const BUYER_STYLES = [
+  { border: "border-blue-500", label: "text-blue-400", bubble: "bg-blue-900/20 text-blue-100" },
+  { border: "border-violet-500", label: "text-violet-400", bubble: "bg-violet-900/20 text-violet-100" },
+  { border: "border-teal-500", label: "text-teal-400", bubble: "bg-teal-900/20 text-teal-100" },
+  { border: "border-pink-500", label: "text-pink-400", bubble: "bg-pink-900/20 text-pink-100" },
+  { border: "border-lime-500", label: "text-lime-400", bubble: "bg-lime-900/20 text-lime-100" },
+];
+
+function buyerStyle(run, party) {
+  const index = run.buyers ? Math.max(0, run.buyers.findIndex(b => b.party === party)) : 0;
+  return BUYER_STYLES[index % BUYER_STYLES.length];
+}
+
+// Multi-issue package, e.g. "warranty: 2 years, delivery: 6 weeks"
+function formatTerms(terms) {
+  return Object.entries(terms).map(([issue, option]) => `${issue}: ${option}`).join(", ");
+}
+
+// null cost = model without a known price; `unpriced` marks a total that leaves some out
+function formatCost(costUsd, unpriced = false) {
+  if (costUsd === null || costUsd === undefined) return "n/a";
+  return `$${costUsd < 0.01 ? costUsd.toFixed(4) : costUsd.toFixed(2)}` + (unpriced ? " + n/a" : "");
+}
+
 function getScoreColor(score) {
   if (score > 0.1) return "text-emerald-400";
   if (score > 0) return "text-emerald-200";
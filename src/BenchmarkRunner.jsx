@@ -1,7 +1,14 @@
-import { Play, Power, Terminal } from 'lucide-react';
+import _ from 'lodash';
+import { Play, Power, RotateCcw, Terminal } from 'lucide-react';
 import { useEffect, useRef, useState } from 'react';
 
-export function BenchmarkRunner({ onBack, onComplete }) {
+// Run id tag at the start of match log lines when matches run in parallel
+const MATCH_TAG = /^\s*\[(\d+_\w+)\] /;
+const MATCH_TAGS = /^\[\d+_\w+\] /gm;
+const TAG_COLORS = ['border-sky-700', 'border-amber-700', 'border-fuchsia-700', 'border-lime-700', 'border-rose-700', 'border-teal-700'];
+const tagColor = (tag) => TAG_COLORS[parseInt(tag.replace(/\D/g, '').slice(-6)) % TAG_COLORS.length];
+
+export function BenchmarkRunner({ onBack, onComplete, rerunId }) {
   const [rounds, setRounds] = useState(1);
   const [selectedModels, setSelectedModels] = useState({
     OPUS_4_5: true,
@@ -13,12 +20,37 @@ export function BenchmarkRunner({ onBack, onComplete }) {
     GPT_5_2: true,
     GEMINI_2_5_PRO: false,
     GEMINI_2_5_FLASH: true,
-    GEMINI_FLASH_PREVIEW: true
+    GEMINI_FLASH_PREVIEW: true,
+    LLAMA_3_1_8B: false,
+    QWEN_2_5_14B: false,
+    MOCK_BOULWARE: false,
+    MOCK_CONCEDER: false,
+    MOCK_LINEAR: false,
+    BASELINE_BOULWARE: false,
+    BASELINE_CONCEDER: false,
+    BASELINE_LINEAR: false,
+    BASELINE_TIT_FOR_TAT: false,
+    BASELINE_HARDBALL: false
   });
   const [logs, setLogs] = useState([]);
   const [isRunning, setIsRunning] = useState(false);
   const [serverStatus, setServerStatus] = useState('checking'); // checking, connected, error
   const [tournamentName, setTournamentName] = useState('');
+  const [budget, setBudget] = useState('');
+  const [seed, setSeed] = useState('');
+  const [zopa, setZopa] = useState(''); // ZOPA width in % of true value, '' = random
+  const [maxTurns, setMaxTurns] = useState(12);
+  const [turnNotice, setTurnNotice] = useState(false);
+  const [opener, setOpener] = useState('seller');
+  const [information, setInformation] = useState(''); // '' = each scenario's own mode
+  const [format, setFormat] = useState('bilateral'); // or 'auction' (one seller, every other model bids)
+  const [channel, setChannel] = useState('private');
+  const [series, setSeries] = useState(''); // Games per pairing in a repeated series, '' = off
+  const [concurrency, setConcurrency] = useState(''); // Matches at once, '' = server default
+  const [estimate, setEstimate] = useState(null);
+  const [scenarios, setScenarios] = useState([]); // Scenario library from the server
+  const [selectedScenarios, setSelectedScenarios] = useState({});
+  const [unfinishedPlans, setUnfinishedPlans] = useState([]); // Saved tournaments with matches left to play
   const logsEndRef = useRef(null);
   const eventSourceRef = useRef(null);
 
@@ -32,15 +64,88 @@ export function BenchmarkRunner({ onBack, onComplete }) {
       .catch(() => setServerStatus('error'));
   }, []);
 
+  // Scenario library, all selected by default
+  useEffect(() => {
+    if (serverStatus !== 'connected') return;
+    fetch('/api/scenarios')
+      .then(res => res.ok ? res.json() : [])
+      .then(data => {
+        setScenarios(data);
+        setSelectedScenarios(Object.fromEntries(data.map(s => [s.id, true])));
+      })
+      .catch(() => setScenarios([]));
+  }, [serverStatus]);
+
+  // Tournaments that were stopped, cut short or had errored matches, and can be resumed
+  const loadUnfinishedPlans = () => {
+    fetch('/api/tournaments?unfinished=true')
+      .then(res => res.ok ? res.json() : [])
+      .then(setUnfinishedPlans)
+      .catch(() => setUnfinishedPlans([]));
+  };
+  useEffect(() => {
+    if (serverStatus === 'connected') loadUnfinishedPlans();
+  }, [serverStatus]);
+
+  const toggleScenario = (id) => setSelectedScenarios(prev => ({ ...prev, [id]: !prev[id] }));
+  const scenarioIds = scenarios.map(s => s.id).filter(id => selectedScenarios[id]);
+
+  // Pre-run estimate from the server (historical per-model averages)
+  const modelsParam = Object.keys(selectedModels).filter(k => selectedModels[k]).join(',');
+  useEffect(() => {
+    if (serverStatus !== 'connected' || modelsParam.split(',').filter(Boolean).length < 2) {
+      setEstimate(null);
+      return;
+    }
+    let cancelled = false;
+    fetch(`/api/benchmark/estimate?rounds=${rounds}&models=${modelsParam}&format=${format}&maxTurns=${maxTurns}` + (parseInt(series) > 1 ? `&series=${parseInt(series)}` : ''))
+      .then(res => res.ok ? res.json() : null)
+      .then(data => { if (!cancelled) setEstimate(data); })
+      .catch(() => { if (!cancelled) setEstimate(null); });
+    return () => { cancelled = true; };
+  }, [modelsParam, rounds, format, series, maxTurns, serverStatus]);
+
   const toggleModel = (m) => setSelectedModels(prev => ({ ...prev, [m]: !prev[m] }));
 
   const startBenchmark = async () => {
-    setIsRunning(true);
-    setLogs([]);
-
     const models = Object.keys(selectedModels).filter(k => selectedModels[k]).join(',');
     // Note: The vite proxy /api -> http://localhost:3001 needs to be active
-    const url = `/api/benchmark/start?rounds=${rounds}&models=${models}&tournamentName=${encodeURIComponent(tournamentName)}`;
+    const url = `/api/benchmark/start?rounds=${rounds}&models=${models}&tournamentName=${encodeURIComponent(tournamentName)}` +
+      (parseFloat(budget) > 0 ? `&budget=${parseFloat(budget)}` : '') +
+      (seed !== '' ? `&seed=${parseInt(seed)}` : '') +
+      // Opener, information and ZOPA apply to one-on-one matches only (the server refuses them for auctions)
+      (format !== 'auction' && zopa !== '' ? `&zopa=${parseFloat(zopa)}` : '') +
+      `&maxTurns=${maxTurns}` + (turnNotice ? '&turnNotice=true' : '') +
+      (format !== 'auction' ? `&opener=${opener}` : '') +
+      (format !== 'auction' && information ? `&information=${information}` : '') +
+      (format === 'auction' ? `&format=auction&channel=${channel}` : '') +
+      (format !== 'auction' && parseInt(series) > 1 ? `&series=${parseInt(series)}` : '') +
+      (concurrency !== '' ? `&concurrency=${parseInt(concurrency)}` : '') +
+      // Only send a subset; no param means the whole library
+      (scenarioIds.length < scenarios.length ? `&scenarios=${scenarioIds.join(',')}` : '');
+
+    streamRun(url);
+  };
+
+  // Plays only the matches of the saved plan that are not completed yet. A plan another
+  // process is still playing needs confirming (and is forced on the server)
+  const resumePlan = (plan) => {
+    if (plan.active && !window.confirm(`'${plan.tournament}' is still being played by another process. Only resume it if that process is stuck, or its matches will be played twice. Resume anyway?`)) return;
+    streamRun(`/api/benchmark/resume?id=${plan.id}` + (plan.active ? '&force=true' : '') + (concurrency !== '' ? `&concurrency=${parseInt(concurrency)}` : ''));
+  };
+
+  // Opened from the Tournaments page's Re-run action: start the copy right away
+  const rerunStarted = useRef(false);
+  useEffect(() => {
+    if (!rerunId || serverStatus !== 'connected' || rerunStarted.current) return;
+    rerunStarted.current = true;
+    streamRun(`/api/tournaments/${rerunId}/rerun` + (concurrency !== '' ? `?concurrency=${parseInt(concurrency)}` : ''));
+  }, [rerunId, serverStatus]);
+
+  // Follow a tournament's log stream (start or resume) in the console
+  const streamRun = (url) => {
+    setIsRunning(true);
+    setLogs([]);
 
     const evtSource = new EventSource(url);
 
@@ -53,10 +158,16 @@ export function BenchmarkRunner({ onBack, onComplete }) {
           setLogs(prev => [...prev, `ERROR: ${data.text}`]);
           evtSource.close();
           setIsRunning(false);
+          loadUnfinishedPlans();
         } else if (data.type === 'complete') {
-          setLogs(prev => [...prev, '\nBenchmark Run Complete.']);
+          setLogs(prev => [...prev, data.status === 'budget_terminated'
+            ? '\nBenchmark Run Stopped: budget reached.'
+            : data.status === 'stopped' ? '\nBenchmark Run Stopped.'
+            : data.status === 'completed_with_errors' ? '\nBenchmark Run Complete, with errored matches (resume to retry them).'
+            : '\nBenchmark Run Complete.']);
           evtSource.close();
           setIsRunning(false);
+          loadUnfinishedPlans();
           if (onComplete) onComplete();
         }
       } catch (e) {
@@ -72,6 +183,7 @@ export function BenchmarkRunner({ onBack, onComplete }) {
         setLogs(prev => [...prev, 'Connection interrupted.']);
         evtSource.close();
         setIsRunning(false);
+        loadUnfinishedPlans();
         eventSourceRef.current = null;
       }
     };
@@ -110,7 +222,11 @@ export function BenchmarkRunner({ onBack, onComplete }) {
                 {[
                   'OPUS_4_5', 'HAIKU_4_5', 'SONNET_4_5',
                   'GPT_5', 'GPT_5_MINI', 'GPT_5_1', 'GPT_5_2',
-                  'GEMINI_FLASH_PREVIEW', 'GEMINI_2_5_PRO', 'GEMINI_2_5_FLASH'
+                  'GEMINI_FLASH_PREVIEW', 'GEMINI_2_5_PRO', 'GEMINI_2_5_FLASH',
+                  'LLAMA_3_1_8B', 'QWEN_2_5_14B',
+                  'MOCK_BOULWARE', 'MOCK_CONCEDER', 'MOCK_LINEAR',
+                  'BASELINE_BOULWARE', 'BASELINE_CONCEDER', 'BASELINE_LINEAR',
+                  'BASELINE_TIT_FOR_TAT', 'BASELINE_HARDBALL'
                 ].map(m => (
                   <label key={m} className="flex items-center gap-2 cursor-pointer hover:bg-slate-700/50 p-2 rounded transition-colors">
                     <input
@@ -125,6 +241,31 @@ export function BenchmarkRunner({ onBack, onComplete }) {
                 ))}
               </div>
             </div>
+
+            <label className="block text-sm font-medium text-slate-400 mt-6 mb-3">
+              Scenarios ({scenarioIds.length}/{scenarios.length})
+            </label>
+            <div className="space-y-3 h-48 overflow-y-auto custom-scrollbar border border-slate-700 rounded p-2 bg-slate-900/50">
+              {Object.entries(_.groupBy(scenarios, 'category')).map(([category, group]) => (
+                <div key={category}>
+                  <div className="text-xs uppercase tracking-wider text-slate-500 px-2 mb-1">{category}</div>
+                  {group.map(s => (
+                    <label key={s.id} title={s.description} className="flex items-center gap-2 cursor-pointer hover:bg-slate-700/50 p-2 rounded transition-colors">
+                      <input
+                        type="checkbox"
+                        checked={!!selectedScenarios[s.id]}
+                        onChange={() => toggleScenario(s.id)}
+                        disabled={isRunning}
+                        className="rounded border-slate-600 bg-slate-700 text-emerald-500 focus:ring-emerald-500/50"
+                      />
+                      <span className="text-slate-200 text-xs">{s.item}</span>
+                      <span className="text-slate-500 text-xs font-mono ml-auto">{s.trueValue.toLocaleString()} {s.currency}</span>
+                    </label>
+                  ))}
+                </div>
+              ))}
+              {scenarios.length === 0 && <div className="text-xs text-slate-500 p-2">No scenarios loaded.</div>}
+            </div>
           </div>
 
           <div>
@@ -148,6 +289,151 @@ export function BenchmarkRunner({ onBack, onComplete }) {
               </span>
             </div>
 
+            {estimate && (
+              <div className="text-xs text-slate-400 bg-slate-900/50 border border-slate-700 rounded p-3 mb-4 font-mono space-y-1">
+                <div>
+                  Estimate: <strong className="text-slate-200">{estimate.matches}</strong> matches,
+                  ~{Math.round((estimate.inputTokens + estimate.outputTokens) / 1000).toLocaleString()}k tokens,
+                  ~<strong className="text-slate-200">${estimate.costUsd.toFixed(2)}</strong>
+                </div>
+                <div className="text-slate-500">
+                  Based on past runs for {estimate.perModel.filter(m => m.fromHistory).length}/{estimate.perModel.length} models
+                  {estimate.unpriced.length > 0 && `; no price for ${estimate.unpriced.join(', ')}`}
+                </div>
+              </div>
+            )}
+
+            <label className="block text-sm font-medium text-slate-400 mb-3">Budget Cap in USD (Optional)</label>
+            <input
+              type="number"
+              min="0"
+              step="0.5"
+              value={budget}
+              onChange={(e) => setBudget(e.target.value)}
+              placeholder="No limit"
+              disabled={isRunning}
+              className="bg-slate-900 border border-slate-700 text-white rounded px-4 py-2 w-32 mb-4 focus:ring-2 focus:ring-emerald-500 outline-none"
+            />
+
+            <label className="block text-sm font-medium text-slate-400 mb-3">Seed (Optional)</label>
+            <input
+              type="number"
+              min="0"
+              value={seed}
+              onChange={(e) => setSeed(e.target.value)}
+              placeholder="Random"
+              disabled={isRunning}
+              className="bg-slate-900 border border-slate-700 text-white rounded px-4 py-2 w-40 mb-4 focus:ring-2 focus:ring-emerald-500 outline-none"
+            />
+            <p className="text-xs text-slate-500 -mt-2 mb-4">Same seed and models = same scenarios and estimates.</p>
+
+            <label className="block text-sm font-medium text-slate-400 mb-3">Format</label>
+            <div className="flex items-center gap-4 mb-4">
+              <select
+                value={format}
+                onChange={(e) => setFormat(e.target.value)}
+                disabled={isRunning}
+                className="bg-slate-900 border border-slate-700 text-white rounded px-4 py-2 w-56 focus:ring-2 focus:ring-emerald-500 outline-none"
+              >
+                <option value="bilateral">One-on-one (round robin)</option>
+                <option value="auction">Multi-buyer auction</option>
+              </select>
+              {format === 'auction' && (
+                <select
+                  value={channel}
+                  onChange={(e) => setChannel(e.target.value)}
+                  disabled={isRunning}
+                  className="bg-slate-900 border border-slate-700 text-white rounded px-4 py-2 w-48 focus:ring-2 focus:ring-emerald-500 outline-none"
+                >
+                  <option value="private">Private channels</option>
+                  <option value="public">Public thread</option>
+                </select>
+              )}
+            </div>
+            {format === 'auction' && (
+              <p className="text-xs text-slate-500 -mt-2 mb-4">Every model sells once per round to all the others (3+ models). Opener, information and ZOPA settings apply to one-on-one matches only.</p>
+            )}
+            {format !== 'auction' && (
+              <>
+                <label className="block text-sm font-medium text-slate-400 mb-3">Repeated Series (Games per Pairing)</label>
+                <input
+                  type="number"
+                  min="2"
+                  value={series}
+                  onChange={(e) => setSeries(e.target.value)}
+                  placeholder="Off"
+                  disabled={isRunning}
+                  className="bg-slate-900 border border-slate-700 text-white rounded px-4 py-2 w-40 mb-4 focus:ring-2 focus:ring-emerald-500 outline-none"
+                />
+                <p className="text-xs text-slate-500 -mt-2 mb-4">Same two models, several items in a row with roles alternating; each agent remembers the earlier games.</p>
+              </>
+            )}
+
+            <label className="block text-sm font-medium text-slate-400 mb-3">Opening Party</label>
+            <select
+              value={opener}
+              onChange={(e) => setOpener(e.target.value)}
+              disabled={isRunning}
+              className="bg-slate-900 border border-slate-700 text-white rounded px-4 py-2 w-40 mb-4 focus:ring-2 focus:ring-emerald-500 outline-none"
+            >
+              <option value="seller">Seller</option>
+              <option value="buyer">Buyer</option>
+              <option value="random">Random</option>
+              <option value="balanced">Balanced</option>
+            </select>
+
+            <label className="block text-sm font-medium text-slate-400 mb-3">Information Mode</label>
+            <select
+              value={information}
+              onChange={(e) => setInformation(e.target.value)}
+              disabled={isRunning}
+              className="bg-slate-900 border border-slate-700 text-white rounded px-4 py-2 w-56 mb-4 focus:ring-2 focus:ring-emerald-500 outline-none"
+            >
+              <option value="">Per scenario</option>
+              <option value="private">Private estimates only</option>
+              <option value="public_value">Public true value</option>
+              <option value="opponent_range">Noisy opponent range</option>
+              <option value="batna">Outside options (BATNA)</option>
+              <option value="one_sided_seller">Seller fully informed</option>
+              <option value="one_sided_buyer">Buyer fully informed</option>
+            </select>
+
+            <label className="block text-sm font-medium text-slate-400 mb-3">Turn Limit (Messages per Match)</label>
+            <div className="flex items-center gap-4 mb-4">
+              <input
+                type="number"
+                min="2"
+                max="60"
+                value={maxTurns}
+                onChange={(e) => setMaxTurns(Math.max(2, parseInt(e.target.value) || 2))}
+                disabled={isRunning}
+                className="bg-slate-900 border border-slate-700 text-white rounded px-4 py-2 w-24 focus:ring-2 focus:ring-emerald-500 outline-none"
+              />
+              <label className="flex items-center gap-2 text-xs text-slate-400 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={turnNotice}
+                  onChange={() => setTurnNotice(v => !v)}
+                  disabled={isRunning}
+                  className="rounded border-slate-600 bg-slate-700 text-emerald-500 focus:ring-emerald-500/50"
+                />
+                Show turns remaining to agents
+              </label>
+            </div>
+
+            <label className="block text-sm font-medium text-slate-400 mb-3">ZOPA Width in % (Optional)</label>
+            <input
+              type="number"
+              min="-99"
+              max="99"
+              value={zopa}
+              onChange={(e) => setZopa(e.target.value)}
+              placeholder="Random"
+              disabled={isRunning}
+              className="bg-slate-900 border border-slate-700 text-white rounded px-4 py-2 w-32 mb-4 focus:ring-2 focus:ring-emerald-500 outline-none"
+            />
+            <p className="text-xs text-slate-500 -mt-2 mb-4">Gap between buyer and seller estimates, e.g. 10, 0 or -10 (no deal possible).</p>
+
             <label className="block text-sm font-medium text-slate-400 mb-3">Tournament Name (Optional)</label>
             <input
               type="text"
@@ -157,12 +443,24 @@ export function BenchmarkRunner({ onBack, onComplete }) {
               disabled={isRunning}
               className="bg-slate-900 border border-slate-700 text-white rounded px-4 py-2 w-full mb-4 focus:ring-2 focus:ring-emerald-500 outline-none"
             />
+
+            <label className="block text-sm font-medium text-slate-400 mb-3">Parallel Matches</label>
+            <input
+              type="number"
+              min="1"
+              value={concurrency}
+              onChange={(e) => setConcurrency(e.target.value)}
+              placeholder="Default (4)"
+              disabled={isRunning}
+              className="bg-slate-900 border border-slate-700 text-white rounded px-4 py-2 w-32 mb-4 focus:ring-2 focus:ring-emerald-500 outline-none"
+            />
+            <p className="text-xs text-slate-500 -mt-2 mb-4">Matches played at once; each provider also has its own cap (set on the server). 1 plays them one by one.</p>
           </div>
         </div>
         <div className="flex gap-4 mt-4">
           <button
             onClick={startBenchmark}
-            disabled={isRunning || serverStatus !== 'connected' || Object.values(selectedModels).filter(v => v).length < 2}
+            disabled={isRunning || serverStatus !== 'connected' || Object.values(selectedModels).filter(v => v).length < 2 || (scenarios.length > 0 && scenarioIds.length === 0)}
             className="flex-1 bg-emerald-600 hover:bg-emerald-500 disabled:bg-slate-700 disabled:text-slate-500 text-white font-bold py-3 px-4 rounded flex items-center justify-center gap-2 transition-all shadow-lg shadow-emerald-900/20"
           >
             {isRunning ? <Power className="animate-pulse w-5 h-5" /> : <Play className="w-5 h-5" />}
@@ -184,6 +482,7 @@ export function BenchmarkRunner({ onBack, onComplete }) {
 
                 // Tell server to abort using the new endpoint
                 fetch('/api/benchmark/stop', { method: 'POST' })
+                  .then(loadUnfinishedPlans)
                   .catch(err => console.error("Failed to send stop command:", err));
               }}
               className="bg-red-900/50 hover:bg-red-900/80 text-red-200 border border-red-800 rounded px-6 font-bold"
@@ -199,6 +498,43 @@ export function BenchmarkRunner({ onBack, onComplete }) {
         )}
       </div>
 
+      {/* Unfinished tournaments */}
+      {unfinishedPlans.length > 0 && (
+        <div className="bg-slate-800 p-6 rounded-lg border border-slate-700">
+          <label className="block text-sm font-medium text-slate-400 mb-3">Unfinished Tournaments</label>
+          <div className="space-y-2">
+            {unfinishedPlans.map(plan => {
+              const { total, completed, errored, pending } = plan.progress;
+              return (
+                <div key={plan.id} className="flex items-center gap-4 p-2 rounded border border-slate-700 bg-slate-900/50 text-sm">
+                  <div className="flex-1 min-w-0">
+                    <div className="text-slate-200 font-medium truncate">{plan.tournament}</div>
+                    <div className="text-xs text-slate-500 font-mono truncate">
+                      {plan.options.models.join(', ')} · seed {plan.seed} · {new Date(plan.createdAt).toLocaleString()}
+                      {plan.active && <span className="text-blue-400"> · running</span>}
+                    </div>
+                  </div>
+                  <div className="text-xs font-mono text-slate-400 text-right">
+                    {completed}/{total} done
+                    {pending > 0 && <span className="text-amber-400"> · {pending} pending</span>}
+                    {errored > 0 && <span className="text-red-400"> · {errored} errored</span>}
+                  </div>
+                  <button
+                    onClick={() => resumePlan(plan)}
+                    disabled={isRunning || serverStatus !== 'connected'}
+                    className="flex items-center gap-1 text-xs px-3 py-1.5 rounded bg-slate-700 hover:bg-slate-600 disabled:opacity-50 text-white"
+                    title="Play only the matches that are not completed yet"
+                  >
+                    <RotateCcw className="w-3 h-3" />
+                    Resume
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
       {/* Output Console */}
       <div className="bg-slate-950 rounded-lg border border-slate-800 p-4 font-mono text-xs md:text-sm h-96 overflow-y-auto shadow-inner custom-scrollbar">
         <div className="flex items-center gap-2 text-slate-500 border-b border-slate-900 pb-2 mb-2">
@@ -215,16 +551,16 @@ export function BenchmarkRunner({ onBack, onComplete }) {
           {logs.map((L, i) => {
             // Helper to highlight offers
             const renderLog = (text) => {
-              if (text.includes('DEAL REACHED')) return <span className="text-emerald-400 font-bold">{text}</span>;
+              if (text.includes('DEAL REACHED') || text.includes('SOLD to')) return <span className="text-emerald-400 font-bold">{text}</span>;
               if (text.includes('NO DEAL')) return <span className="text-red-400 font-bold">{text}</span>;
-              if (text.includes('Starting Match')) return <span className="text-blue-400 mt-4 block border-t border-slate-800 pt-2">{text}</span>;
+              if (text.includes('Starting Match') || text.includes('Starting Auction')) return <span className="text-blue-400 mt-4 block border-t border-slate-800 pt-2">{text}</span>;
 
               const match = text.match(/^(.+?): (.*)/);
               if (match && !text.startsWith('Matchup:')) {
                 const name = match[1];
                 const rest = match[2];
                 // Check for [Offer: ...]
-                const offerMatch = rest.match(/(.*)(\[Offer:.*?\])(.*)/);
+                const offerMatch = rest.match(/(.*)(\[(?:Offer|Ask|Bid):.*?\])(.*)/);
 
                 if (offerMatch) {
                   return (
@@ -246,7 +582,7 @@ export function BenchmarkRunner({ onBack, onComplete }) {
               }
 
               // Fallback for Offer check if not in Name: format (unlikely but safe)
-              const offerMatch = text.match(/(.*)(\[Offer:.*?\])(.*)/);
+              const offerMatch = text.match(/(.*)(\[(?:Offer|Ask|Bid):.*?\])(.*)/);
               if (offerMatch) {
                 return (
                   <span>
@@ -259,6 +595,18 @@ export function BenchmarkRunner({ onBack, onComplete }) {
               return text;
             };
 
+            // Lines of matches running in parallel carry their run id: show it as a small
+            // label and give each match its own border color so the threads stay apart
+            const tag = L.match(MATCH_TAG)?.[1];
+            if (tag) {
+              return (
+                <div key={i} className={`whitespace-pre-wrap break-all text-slate-300 border-l-2 pl-2 ${tagColor(tag)}`}>
+                  <span className="text-[10px] text-slate-600 mr-2">{tag}</span>
+                  {renderLog(L.replace(MATCH_TAGS, ''))}
+                </div>
+              );
+            }
+
             return (
               <div key={i} className="whitespace-pre-wrap break-all text-slate-300">
                 {renderLog(L)}
@@ -5,6 +5,7 @@ import {
   Bar,
   BarChart,
   CartesianGrid,
+  ErrorBar,
   Legend,
   Line,
   LineChart,
@@ -15,6 +16,7 @@ import {
   Tooltip,
   XAxis, YAxis
 } from 'recharts';
+import { ALPHA, bootstrapCI, pairedPermutationTest, permutationTest } from './stats';
 
 // Helper to extract clean model name from full model ID
 // Handles: claude-opus-4-5-xxx -> opus, gpt-5.2 -> gpt-5.2, gemini-2.5-pro -> gemini-2.5-pro
@@ -33,11 +35,16 @@ const getModelName = (modelId) => {
   return parts[1] || modelId;
 };
 
+// Scripted reference opponents (server/strategies.js)
+const isBaseline = (side) => side.provider === 'baseline' || (side.model || '').startsWith('baseline:');
+
 export function Charts({ onBack }) {
   const [loading, setLoading] = useState(true);
   const [progress, setProgress] = useState({ current: 0, total: 0 });
-  const [runs, setRuns] = useState([]);
+  const [allRuns, setAllRuns] = useState([]);
   const [error, setError] = useState(null);
+  const [includeMock, setIncludeMock] = useState(false);
+  const [infoMode, setInfoMode] = useState('all'); // Information mode slice
 
   useEffect(() => {
     loadData();
@@ -49,7 +56,8 @@ export function Charts({ onBack }) {
     try {
       const manifestRes = await fetch('/logs/manifest.json');
       if (!manifestRes.ok) throw new Error('Failed to load manifest');
-      const manifest = await manifestRes.json();
+      // Errored runs replaced by a retry are not counted again
+      const manifest = (await manifestRes.json()).filter(r => !r.supersededBy);
 
       setProgress({ current: 0, total: manifest.length });
 
@@ -72,7 +80,7 @@ export function Charts({ onBack }) {
         setProgress(prev => ({ ...prev, current: Math.min(prev.total, i + BATCH_SIZE) }));
       }
 
-      setRuns(loadedRuns);
+      setAllRuns(loadedRuns);
     } catch (e) {
       setError(e.message);
     } finally {
@@ -80,6 +88,21 @@ export function Charts({ onBack }) {
     }
   };
 
+  // Mock runs (offline scripted players) stay out of the analytics unless asked for.
+  // Errored runs never finished, so they are always left out of the scores.
+  const mockCount = useMemo(() => allRuns.filter(r => r.mock).length, [allRuns]);
+  const erroredCount = useMemo(() => allRuns.filter(r => r.status === 'errored').length, [allRuns]);
+  // Runs from before information modes existed were all "private"
+  const infoModeOf = (run) => run.information?.mode || 'private';
+  const infoModes = useMemo(() => _.uniq(allRuns.map(infoModeOf)).sort(), [allRuns]);
+  const runs = useMemo(() => allRuns.filter(r =>
+    r.type !== 'auction' && r.status !== 'errored' && (includeMock || !r.mock) && (infoMode === 'all' || infoModeOf(r) === infoMode)
+  ), [allRuns, includeMock, infoMode]);
+  // Multi-buyer auctions have their own log format and scoring, so they only feed chart 14
+  const auctionRuns = useMemo(() => allRuns.filter(r =>
+    r.type === 'auction' && r.status !== 'errored' && (includeMock || !r.mock)
+  ), [allRuns, includeMock]);
+
   // --- Data Processing for Charts ---
 
   // 1. Deal rate vs private value gap
@@ -128,22 +151,25 @@ export function Charts({ onBack }) {
       // Surplus = (Value captured) / True Value
       const sellerSurplus = (run.dealPrice - trueVal) / trueVal;
       const sellerModel = getModelName(run.seller.model);
-      if (!modelStats[sellerModel]) modelStats[sellerModel] = { name: sellerModel, surplusSum: 0, count: 0 };
-      modelStats[sellerModel].surplusSum += sellerSurplus;
-      modelStats[sellerModel].count++;
+      if (!modelStats[sellerModel]) modelStats[sellerModel] = { name: sellerModel, values: [] };
+      modelStats[sellerModel].values.push(sellerSurplus);
 
       const buyerSurplus = (trueVal - run.dealPrice) / trueVal;
       const buyerModel = getModelName(run.buyer.model);
-      if (!modelStats[buyerModel]) modelStats[buyerModel] = { name: buyerModel, surplusSum: 0, count: 0 };
-      modelStats[buyerModel].surplusSum += buyerSurplus;
-      modelStats[buyerModel].count++;
+      if (!modelStats[buyerModel]) modelStats[buyerModel] = { name: buyerModel, values: [] };
+      modelStats[buyerModel].values.push(buyerSurplus);
     });
 
-    const arr = Object.values(modelStats).map(s => ({
-      name: s.name,
-      avgSurplus: parseFloat((s.surplusSum / s.count * 100).toFixed(2)),
-      count: s.count
-    }));
+    // 95% bootstrap interval, as [below, above] offsets for the error bars
+    const arr = Object.values(modelStats).map(s => {
+      const ci = bootstrapCI(s.values);
+      return {
+        name: s.name,
+        avgSurplus: parseFloat((ci.mean * 100).toFixed(2)),
+        ci: [parseFloat(((ci.mean - ci.low) * 100).toFixed(2)), parseFloat(((ci.high - ci.mean) * 100).toFixed(2))],
+        count: ci.n
+      };
+    });
 
     // Sort descending so largest average surplus appears first (highest -> lowest)
     return _.orderBy(arr, ['avgSurplus'], ['desc']);
@@ -285,14 +311,17 @@ export function Charts({ onBack }) {
     // Buyer: Initial Offer 50 (TV 100) -> -50%. Deal 90 -> -10%.
     // We want to see if Higher Initial Offer leads to Higher Deal Price.
 
+    // Split by who opened (run.opener; runs from before it was recorded always had the seller open).
+    // Each point is the opener's first offer, so seller anchors sit right of 0 and buyer anchors left.
+
     const points = [];
     runs.forEach(run => {
       if (!run.dealReached) return;
 
-      // Analyze Seller Anchors
-      const sellerFirst = run.logs.find(l => l.role === 'seller')?.content.offer;
-      if (sellerFirst) {
-        const anchor = (sellerFirst - run.trueValue) / run.trueValue;
+      const opener = run.opener || 'seller';
+      const firstOffer = run.logs.find(l => l.role === opener)?.content.offer;
+      if (firstOffer) {
+        const anchor = (firstOffer - run.trueValue) / run.trueValue;
         const outcome = (run.dealPrice - run.trueValue) / run.trueValue;
 
         const x = parseFloat((anchor * 100).toFixed(1));
@@ -304,8 +333,8 @@ export function Charts({ onBack }) {
         points.push({
           x,
           y,
-          role: 'Seller',
-          model: getModelName(run.seller.model)
+          opener: opener === 'seller' ? 'Seller Opened' : 'Buyer Opened',
+          model: getModelName(run[opener].model)
         });
       }
     });
@@ -393,61 +422,20 @@ export function Charts({ onBack }) {
       models.add(buyer);
       models.add(seller);
 
-      // Record surpluses
+      // Cell(Row, Col) = Row model's surplus against Col model, averaged over both roles
       const buyerSurplus = (run.trueValue - run.dealPrice) / run.trueValue;
       const sellerSurplus = (run.dealPrice - run.trueValue) / run.trueValue;
-
-      // We want (Row Model as Buyer vs Col Model as Seller) AND (Row Model as Seller vs Col Model as Buyer).
-      // Let's just create a matrix where Cell(Row, Col) = Avg Surplus of Row Model when playing against Col Model.
-      // Requires aggregating both roles? Or separate matrices?
-      // "Cell value = average surplus of row model vs column model" usually implies aggregated performance.
-
-      // Row=Buyer, Col=Seller (Buyer's Surplus)
-      // Let's do that.
-
-      const key = `${buyer}:${seller}`;
-      if (!stats[key]) stats[key] = { sum: 0, count: 0 };
-      stats[key].sum += buyerSurplus;
-      stats[key].count++;
-
-      // We might also want separate Seller surplus? 
-      // Let's simplify: Matrix shows Row Model's surplus against Col Model.
-      // But roles matter.
-      // Let's make it symmetric-ish: Total Surplus Captured by Row against Col?
-      // No, Win Matrix usually means "How much A beats B".
-      // Let's use: (A's Surplus) - (B's Surplus) in that match?
-      // BuyerSurplus - SellerSurplus.
-      // If A is Buyer, B is Seller. Score = BuyS - SellS.
-      // If A is Seller, B is Buyer. Score = SellS - BuyS.
-
-      // Store for A vs B
-      const k1 = `${buyer}:${seller}`; // A=Buyer
-      if (!stats[k1]) stats[k1] = { score: 0, n: 0 };
-      stats[k1].score += (buyerSurplus); // Just raw surplus for now
-      stats[k1].n++;
-
-      // Also store for Seller?
-      // The prompt asks "Win Matrix". 
-      // Let's just show "Avg Surplus %" for ROW model when playing against COL model.
-      // We need 2 values per cell? Or average across roles?
-      // Let's Average across roles.
-      // If A plays B.
-      // Case 1: A=Buyer, B=Seller. A gets S_buy.
-      // Case 2: A=Seller, B=Buyer. A gets S_sell.
-      // Average them.
-
-      // Helper to update
-      const update = (m1, m2, s) => {
+      const update = (m1, m2, surplus) => {
         const k = `${m1}:${m2}`;
-        if (!stats[k]) stats[k] = { sum: 0, count: 0 };
-        stats[k].sum += s;
-        stats[k].count++;
+        if (!stats[k]) stats[k] = { values: [] };
+        stats[k].values.push(surplus);
       };
 
       update(buyer, seller, buyerSurplus);
       update(seller, buyer, sellerSurplus);
     });
 
+    Object.values(stats).forEach(cell => { cell.ci = bootstrapCI(cell.values); });
     return { models: Array.from(models).sort(), stats };
   }, [runs]);
 
@@ -496,6 +484,213 @@ export function Charts({ onBack }) {
   }, [runs]);
 
 
+  // 10. Performance vs Baselines
+  const baselineMatrix = useMemo(() => {
+    // Cell(Row, Col) = Avg score of Row model (either role) against Col baseline.
+    // No-deal games count as 0, same as the run score.
+    const stats = {};
+    const models = new Set();
+    const baselines = new Set();
+
+    runs.forEach(run => {
+      [[run.buyer, run.seller], [run.seller, run.buyer]].forEach(([self, opponent]) => {
+        if (isBaseline(self) || !isBaseline(opponent)) return;
+        const model = getModelName(self.model);
+        const baseline = getModelName(opponent.model);
+        models.add(model);
+        baselines.add(baseline);
+
+        const key = `${model}:${baseline}`;
+        if (!stats[key]) stats[key] = { sum: 0, count: 0 };
+        stats[key].sum += self.score;
+        stats[key].count++;
+      });
+    });
+
+    return { models: Array.from(models).sort(), baselines: Array.from(baselines).sort(), stats };
+  }, [runs]);
+
+
+  // 11. Paired role-swap differences
+  const pairedData = useMemo(() => {
+    // Both matches of a pair share item and estimates with roles swapped (run.pair links them).
+    // Paired difference for A vs B = (A's seller + buyer score) - (B's seller + buyer score),
+    // halved to a per-match figure. Cell(Row, Col) = mean difference of Row against Col.
+    const byPair = _.groupBy(runs.filter(r => r.pair), r => r.pair.id);
+    const stats = {};
+    const models = new Set();
+
+    Object.values(byPair).forEach(pair => {
+      if (pair.length !== 2) return; // Other half missing (errored or still running)
+      const [a, b] = pair;
+      const modelA = getModelName(a.seller.model);
+      const modelB = getModelName(a.buyer.model);
+      if (getModelName(b.buyer.model) !== modelA || getModelName(b.seller.model) !== modelB) return;
+      models.add(modelA);
+      models.add(modelB);
+
+      const diff = ((a.seller.score + b.buyer.score) - (a.buyer.score + b.seller.score)) / 2;
+      [[modelA, modelB, diff], [modelB, modelA, -diff]].forEach(([m1, m2, d]) => {
+        const key = `${m1}:${m2}`;
+        if (!stats[key]) stats[key] = { diffs: [] };
+        stats[key].diffs.push(d);
+      });
+    });
+
+    // Sign-flip permutation test over the pairs: can the difference be told apart from 0?
+    Object.values(stats).forEach(cell => {
+      cell.ci = bootstrapCI(cell.diffs);
+      cell.p = pairedPermutationTest(cell.diffs);
+    });
+    return { models: Array.from(models).sort(), stats };
+  }, [runs]);
+
+
+  // 12. Deal rationality (ZOPA)
+  const rationalityData = useMemo(() => {
+    // A rational deal exists only when the buyer's estimate is above the seller's.
+    // Older runs have no `zopa` field, so fall back to the estimates.
+    // Both participants are charged with a missed deal or a deal that should not have happened.
+    const stats = {};
+    runs.forEach(run => {
+      const exists = run.zopa ? run.zopa.exists : run.buyer.estimate > run.seller.estimate;
+      [run.buyer, run.seller].forEach(side => {
+        const model = getModelName(side.model);
+        if (!stats[model]) stats[model] = { withZopa: 0, missed: 0, withoutZopa: 0, irrational: 0 };
+        if (exists) {
+          stats[model].withZopa++;
+          if (!run.dealReached) stats[model].missed++;
+        } else {
+          stats[model].withoutZopa++;
+          if (run.dealReached) stats[model].irrational++;
+        }
+      });
+    });
+    return Object.entries(stats)
+      .map(([model, s]) => ({ model, ...s }))
+      .sort((a, b) => a.model.localeCompare(b.model));
+  }, [runs]);
+
+
+  // 13. How matches end
+  const endingData = useMemo(() => {
+    // Strategic exits (walk-aways) vs running out of turns vs protocol accidents.
+    // Runs from before `endReason` was recorded are classified from deal and turn count.
+    const stats = {};
+    runs.forEach(run => {
+      const reason = run.endReason || (run.dealReached ? 'deal' : run.turns >= (run.maxTurns || 12) ? 'turn_limit' : 'stalled');
+      [run.buyer, run.seller].forEach(side => {
+        const model = getModelName(side.model);
+        if (!stats[model]) stats[model] = { model, total: 0, deal: 0, walkedAway: 0, opponentWalkedAway: 0, turn_limit: 0, stalled: 0, invalid_output: 0 };
+        const row = stats[model];
+        row.total++;
+        if (reason === 'walk_away') {
+          const role = side === run.buyer ? 'buyer' : 'seller';
+          if (run.walkAway?.role === role) row.walkedAway++;
+          else row.opponentWalkedAway++;
+        } else if (row[reason] !== undefined) {
+          row[reason]++;
+        }
+      });
+    });
+    return Object.values(stats)
+      .map(row => ({
+        model: row.model,
+        'Deal': row.deal / row.total * 100,
+        'Walked Away': row.walkedAway / row.total * 100,
+        'Opponent Walked Away': row.opponentWalkedAway / row.total * 100,
+        'Turn Limit': row.turn_limit / row.total * 100,
+        'Stalled (No Offers)': row.stalled / row.total * 100,
+        'Invalid Output': row.invalid_output / row.total * 100,
+      }))
+      .sort((a, b) => a.model.localeCompare(b.model));
+  }, [runs]);
+
+  // 14. Auctions
+  const auctionData = useMemo(() => {
+    // Per model: how often it sells as the seller and wins as a buyer, and its average score in each role
+    const stats = {};
+    const rowFor = (side) => {
+      const model = getModelName(side.model);
+      if (!stats[model]) stats[model] = { model, sold: 0, asSeller: 0, sellerScore: 0, won: 0, asBuyer: 0, buyerScore: 0 };
+      return stats[model];
+    };
+    auctionRuns.forEach(run => {
+      const seller = rowFor(run.seller);
+      seller.asSeller++;
+      seller.sellerScore += run.seller.score;
+      if (run.dealReached) seller.sold++;
+      run.buyers.forEach(buyer => {
+        const row = rowFor(buyer);
+        row.asBuyer++;
+        row.buyerScore += buyer.score;
+        if (run.winner === buyer.party) row.won++;
+      });
+    });
+    return Object.values(stats).sort((a, b) => a.model.localeCompare(b.model));
+  }, [auctionRuns]);
+
+  // 15. Repeated games
+  const seriesData = useMemo(() => {
+    // Average score by game number within a series (reputation and exploitation over time),
+    // and each model's final series totals from the last game played of every series
+    const seriesRuns = runs.filter(r => r.series);
+    const byGame = {};
+    seriesRuns.forEach(run => {
+      [run.buyer, run.seller].forEach(side => {
+        const model = getModelName(side.model);
+        const key = `${run.series.game}:${model}`;
+        if (!byGame[key]) byGame[key] = { game: run.series.game, model, total: 0, count: 0 };
+        byGame[key].total += side.score;
+        byGame[key].count++;
+      });
+    });
+    const models = _.uniq(Object.values(byGame).map(g => g.model)).sort();
+    const curve = _.sortBy(_.uniq(Object.values(byGame).map(g => g.game)), g => g).map(game => {
+      const point = { game };
+      models.forEach(model => {
+        const cell = byGame[`${game}:${model}`];
+        if (cell) point[model] = parseFloat((cell.total / cell.count * 100).toFixed(1));
+      });
+      return point;
+    });
+
+    const totals = {};
+    Object.values(_.groupBy(seriesRuns, r => r.series.id)).forEach(games => {
+      const last = _.maxBy(games, r => r.series.game);
+      const entries = Object.entries(last.series.cumulative);
+      entries.forEach(([name, score]) => {
+        const side = last.seller.name === name ? last.seller : last.buyer;
+        const model = getModelName(side.model);
+        if (!totals[model]) totals[model] = { model, series: 0, total: 0, won: 0 };
+        totals[model].series++;
+        totals[model].total += score;
+        if (entries.every(([other, s]) => other === name || score > s)) totals[model].won++;
+      });
+    });
+    return { models, curve, totals: Object.values(totals).sort((a, b) => a.model.localeCompare(b.model)) };
+  }, [runs]);
+
+  // 16. Score ranking with confidence
+  const rankingData = useMemo(() => {
+    // Every match score of each model (both roles, no deal = 0) with a bootstrap interval.
+    // Neighbours in the ranking are compared with a permutation test: when it cannot tell
+    // them apart, their order is not meaningful yet.
+    const scores = {};
+    runs.forEach(run => {
+      [run.buyer, run.seller].forEach(side => {
+        const model = getModelName(side.model);
+        (scores[model] = scores[model] || []).push(side.score);
+      });
+    });
+    const rows = _.orderBy(Object.entries(scores).map(([model, values]) => ({ model, values, ci: bootstrapCI(values) })), [r => r.ci.mean], ['desc']);
+    rows.forEach((row, i) => {
+      const next = rows[i + 1];
+      row.pNext = next ? permutationTest(row.values, next.values) : null;
+    });
+    return rows;
+  }, [runs]);
+
   if (loading) {
     return (
       <div className="flex flex-col items-center justify-center min-h-[50vh] text-slate-400">
@@ -526,8 +721,33 @@ export function Charts({ onBack }) {
             <BarChart3 className="w-6 h-6 text-emerald-400" />
             Analytics Dashboard
           </h2>
-          <span className="text-sm text-slate-500 font-mono">{runs.length} runs analyzed</span>
+          <span className="text-sm text-slate-500 font-mono">
+            {runs.length} runs analyzed
+            {auctionRuns.length > 0 && ` + ${auctionRuns.length} auctions`}
+            {erroredCount > 0 && <span className="text-amber-500/80"> ({erroredCount} errored runs excluded)</span>}
+          </span>
         </div>
+        {infoModes.length > 1 && (
+          <select
+            value={infoMode}
+            onChange={(e) => setInfoMode(e.target.value)}
+            className="ml-auto bg-slate-800 border border-slate-700 text-slate-300 text-xs rounded px-2 py-1"
+          >
+            <option value="all">All information modes</option>
+            {infoModes.map(mode => <option key={mode} value={mode}>{mode}</option>)}
+          </select>
+        )}
+        {mockCount > 0 && (
+          <label className={`${infoModes.length > 1 ? '' : 'ml-auto '}flex items-center gap-2 text-xs text-slate-400 cursor-pointer`}>
+            <input
+              type="checkbox"
+              checked={includeMock}
+              onChange={() => setIncludeMock(v => !v)}
+              className="rounded border-slate-600 bg-slate-700 text-emerald-500 focus:ring-emerald-500/50"
+            />
+            Include mock runs ({mockCount})
+          </label>
+        )}
       </div>
 
       <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
@@ -553,7 +773,7 @@ export function Charts({ onBack }) {
         {/* 2. Surplus */}
         <div className="bg-slate-800/50 p-6 rounded-xl border border-slate-700">
           <h3 className="text-lg font-semibold mb-2 text-blue-400">2. Avg Surplus Captured</h3>
-          <p className="text-xs text-slate-400 mb-6">% Value captured relative to True Value. Higher is better.</p>
+          <p className="text-xs text-slate-400 mb-6">% Value captured relative to True Value. Higher is better. Whiskers: 95% bootstrap interval.</p>
           <div className="h-64 text-xs">
             <ResponsiveContainer width="100%" height="100%">
               <BarChart data={surplusData} layout="vertical" margin={{ top: 5, right: 30, bottom: 20, left: 30 }}>
@@ -561,7 +781,9 @@ export function Charts({ onBack }) {
                 <XAxis type="number" stroke="#94a3b8" unit="%" />
                 <YAxis dataKey="name" type="category" stroke="#94a3b8" width={80} />
                 <Tooltip cursor={{ fill: '#334155', opacity: 0.2 }} contentStyle={{ backgroundColor: '#0f172a', color: '#f1f5f9', border: '1px solid #334155', borderRadius: '4px' }} itemStyle={{ color: '#f1f5f9' }} labelStyle={{ color: '#94a3b8' }} />
-                <Bar dataKey="avgSurplus" fill="#60a5fa" radius={[0, 4, 4, 0]} label={{ position: 'right', fill: '#94a3b8', fontSize: 10 }} />
+                <Bar dataKey="avgSurplus" fill="#60a5fa" radius={[0, 4, 4, 0]} label={{ position: 'right', fill: '#94a3b8', fontSize: 10 }}>
+                  <ErrorBar dataKey="ci" direction="x" width={4} stroke="#e2e8f0" strokeWidth={1} />
+                </Bar>
               </BarChart>
             </ResponsiveContainer>
           </div>
@@ -646,7 +868,13 @@ export function Charts({ onBack }) {
         {/* 6. Anchoring */}
         <div className="bg-slate-800/50 p-6 rounded-xl border border-slate-700">
           <h3 className="text-lg font-semibold mb-2 text-pink-400">6. First Offer Anchoring</h3>
-          <p className="text-xs text-slate-400 mb-6">Does a bolder first offer leads to a better deal? (Seller View, colored by model)</p>
+          <p className="text-xs text-slate-400 mb-6">
+            Does a bolder first offer lead to a better deal? Opener's first offer vs deal price, split by who opened.
+            {_.uniq(anchoringData.map(d => d.opener)).sort().map(opener => {
+              const avg = _.meanBy(anchoringData.filter(d => d.opener === opener), 'y');
+              return <span key={opener} className="block font-mono">{opener}: avg deal {avg > 0 ? '+' : ''}{avg.toFixed(1)}% vs TV</span>;
+            })}
+          </p>
           <div className="h-64 text-xs">
             <ResponsiveContainer width="100%" height="100%">
               <ScatterChart margin={{ top: 5, right: 20, bottom: 20, left: 10 }}>
@@ -655,11 +883,11 @@ export function Charts({ onBack }) {
                 <YAxis type="number" dataKey="y" name="Deal Price vs TV" unit="%" stroke="#94a3b8" label={{ value: 'Outcome %', angle: -90, position: 'insideLeft' }} />
                 <Tooltip cursor={{ strokeDasharray: '3 3' }} contentStyle={{ backgroundColor: '#0f172a', color: '#f1f5f9', border: '1px solid #334155', borderRadius: '4px' }} itemStyle={{ color: '#f1f5f9' }} labelStyle={{ color: '#94a3b8' }} />
                 <Legend />
-                {_.uniq(anchoringData.map(d => d.model)).map((model, i) => (
+                {['Seller Opened', 'Buyer Opened'].filter(o => anchoringData.some(d => d.opener === o)).map((opener, i) => (
                   <Scatter
-                    key={model}
-                    name={model}
-                    data={anchoringData.filter(d => d.model === model)}
+                    key={opener}
+                    name={opener}
+                    data={anchoringData.filter(d => d.opener === opener)}
                     fill={colors[i % colors.length]}
                     fillOpacity={0.6}
                   />
@@ -714,7 +942,7 @@ export function Charts({ onBack }) {
         {/* 8. Win Matrix */}
         <div className="bg-slate-800/50 p-6 rounded-xl border border-slate-700 md:col-span-2">
           <h3 className="text-lg font-semibold mb-2 text-indigo-400">8. Model vs Model Surplus Matrix</h3>
-          <p className="text-xs text-slate-400 mb-6">Average Surplus % Captured. Reading: Row Model vs Col Model.</p>
+          <p className="text-xs text-slate-400 mb-6">Average Surplus % Captured. Reading: Row Model vs Col Model. Brackets: 95% bootstrap interval.</p>
 
           <div className="overflow-x-auto">
             <table className="w-full text-xs font-mono">
@@ -735,7 +963,7 @@ export function Charts({ onBack }) {
 
                       const key = `${rowModel}:${colModel}`;
                       const stats = winMatrix.stats[key];
-                      const val = stats && stats.count > 0 ? (stats.sum / stats.count * 100).toFixed(1) : null;
+                      const val = stats ? (stats.ci.mean * 100).toFixed(1) : null;
 
                       let color = "text-slate-400";
                       if (val) {
@@ -749,7 +977,8 @@ export function Charts({ onBack }) {
                       return (
                         <td key={colModel} className={`p-2 text-center ${color}`}>
                           {val ? `${val}%` : 'N/A'}
-                          {stats && <span className="text-[9px] text-slate-600 block">{stats.count} games</span>}
+                          {stats && stats.ci.n > 1 && <span className="text-[9px] text-slate-500 block">[{(stats.ci.low * 100).toFixed(1)}, {(stats.ci.high * 100).toFixed(1)}]</span>}
+                          {stats && <span className="text-[9px] text-slate-600 block">{stats.ci.n} games</span>}
                         </td>
                       );
                     })}
@@ -792,6 +1021,315 @@ export function Charts({ onBack }) {
           </ResponsiveContainer>
         </div>
       </div >
+
+      {/* 10. Baselines */}
+      {baselineMatrix.baselines.length > 0 && (
+        <div className="bg-slate-800/50 p-6 rounded-xl border border-slate-700">
+          <h3 className="text-lg font-semibold mb-2 text-cyan-400">10. Performance vs Baselines</h3>
+          <p className="text-xs text-slate-400 mb-6">Average Score % of each model against scripted reference opponents (both roles, no deal = 0).</p>
+
+          <div className="overflow-x-auto">
+            <table className="w-full text-xs font-mono">
+              <thead>
+                <tr>
+                  <th className="p-2 text-left bg-slate-900/50">Model</th>
+                  {baselineMatrix.baselines.map(b => (
+                    <th key={b} className="p-2 bg-slate-900/50">{b.replace('baseline:', '')}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {baselineMatrix.models.map(model => (
+                  <tr key={model} className="border-t border-slate-700/50">
+                    <td className="p-2 font-bold bg-slate-900/30">{model}</td>
+                    {baselineMatrix.baselines.map(baseline => {
+                      const stats = baselineMatrix.stats[`${model}:${baseline}`];
+                      const val = stats && stats.count > 0 ? (stats.sum / stats.count * 100).toFixed(1) : null;
+
+                      let color = "text-slate-400";
+                      if (val) {
+                        const num = parseFloat(val);
+                        if (num > 5) color = "text-emerald-400 font-bold";
+                        else if (num > 0) color = "text-emerald-200";
+                        else if (num > -5) color = "text-yellow-200";
+                        else color = "text-red-400";
+                      }
+
+                      return (
+                        <td key={baseline} className={`p-2 text-center ${color}`}>
+                          {val ? `${val}%` : 'N/A'}
+                          {stats && <span className="text-[9px] text-slate-600 block">{stats.count} games</span>}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* 11. Paired Differences */}
+      {pairedData.models.length > 0 && (
+        <div className="bg-slate-800/50 p-6 rounded-xl border border-slate-700">
+          <h3 className="text-lg font-semibold mb-2 text-rose-400">11. Role-Swapped Pairs: Paired Differences</h3>
+          <p className="text-xs text-slate-400 mb-6">Mean score difference (Row - Col, % per match) over pairs played on the same item and estimates with roles swapped. Brackets: 95% bootstrap interval; p: paired permutation test. Greyed ≈ cells are statistically indistinguishable (p ≥ {ALPHA}).</p>
+
+          <div className="overflow-x-auto">
+            <table className="w-full text-xs font-mono">
+              <thead>
+                <tr>
+                  <th className="p-2 text-left bg-slate-900/50">Model</th>
+                  {pairedData.models.map(m => (
+                    <th key={m} className="p-2 bg-slate-900/50">{m}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {pairedData.models.map(rowModel => (
+                  <tr key={rowModel} className="border-t border-slate-700/50">
+                    <td className="p-2 font-bold bg-slate-900/30">{rowModel}</td>
+                    {pairedData.models.map(colModel => {
+                      if (rowModel === colModel) return <td key={colModel} className="p-2 text-center text-slate-600">-</td>;
+
+                      const stats = pairedData.stats[`${rowModel}:${colModel}`];
+                      const val = stats ? (_.mean(stats.diffs) * 100).toFixed(1) : null;
+                      const indistinguishable = stats && stats.p >= ALPHA;
+
+                      let color = "text-slate-400";
+                      if (val && indistinguishable) {
+                        color = "text-slate-500";
+                      } else if (val) {
+                        const num = parseFloat(val);
+                        if (num > 5) color = "text-emerald-400 font-bold";
+                        else if (num > 0) color = "text-emerald-200";
+                        else if (num > -5) color = "text-yellow-200";
+                        else color = "text-red-400";
+                      }
+
+                      return (
+                        <td key={colModel} className={`p-2 text-center ${color}`}>
+                          {val ? `${indistinguishable ? '≈ ' : ''}${val > 0 ? '+' : ''}${val}%` : 'N/A'}
+                          {stats && stats.ci.n > 1 && <span className="text-[9px] text-slate-500 block">[{(stats.ci.low * 100).toFixed(1)}, {(stats.ci.high * 100).toFixed(1)}]</span>}
+                          {stats && <span className="text-[9px] text-slate-600 block">{stats.diffs.length} pairs, p={stats.p < 0.001 ? '<0.001' : stats.p.toFixed(3)}</span>}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* 12. Deal Rationality */}
+      {rationalityData.length > 0 && (
+        <div className="bg-slate-800/50 p-6 rounded-xl border border-slate-700">
+          <h3 className="text-lg font-semibold mb-2 text-amber-400">12. Deal Rationality (ZOPA)</h3>
+          <p className="text-xs text-slate-400 mb-6">Missed deals: no deal although the buyer valued the item above the seller. Bad deals: a deal was struck although no zone of possible agreement existed.</p>
+
+          <div className="overflow-x-auto">
+            <table className="w-full text-xs font-mono">
+              <thead>
+                <tr>
+                  <th className="p-2 text-left bg-slate-900/50">Model</th>
+                  <th className="p-2 bg-slate-900/50">Missed Deals</th>
+                  <th className="p-2 bg-slate-900/50">Deals That Should Not Have Happened</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rationalityData.map(row => (
+                  <tr key={row.model} className="border-t border-slate-700/50">
+                    <td className="p-2 font-bold bg-slate-900/30">{row.model}</td>
+                    <td className={`p-2 text-center ${row.missed > 0 ? 'text-yellow-200' : 'text-slate-400'}`}>
+                      {row.withZopa > 0 ? `${(row.missed / row.withZopa * 100).toFixed(1)}%` : 'N/A'}
+                      <span className="text-[9px] text-slate-600 block">{row.missed} / {row.withZopa} games with ZOPA</span>
+                    </td>
+                    <td className={`p-2 text-center ${row.irrational > 0 ? 'text-red-400' : 'text-slate-400'}`}>
+                      {row.withoutZopa > 0 ? `${(row.irrational / row.withoutZopa * 100).toFixed(1)}%` : 'N/A'}
+                      <span className="text-[9px] text-slate-600 block">{row.irrational} / {row.withoutZopa} games without ZOPA</span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* 13. Match Endings */}
+      {endingData.length > 0 && (
+        <div className="bg-slate-800/50 p-6 rounded-xl border border-slate-700">
+          <h3 className="text-lg font-semibold mb-2 text-sky-400">13. How Matches End</h3>
+          <p className="text-xs text-slate-400 mb-6">Share of each model's matches by ending: deliberate walk-aways (own or opponent's) vs the turn limit vs protocol accidents (two turns without an offer, or unusable output).</p>
+          <div className="h-80 text-xs">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={endingData} layout="vertical" margin={{ top: 5, right: 30, bottom: 20, left: 30 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+                <XAxis type="number" domain={[0, 100]} stroke="#94a3b8" unit="%" />
+                <YAxis dataKey="model" type="category" stroke="#94a3b8" width={120} />
+                <Tooltip cursor={{ fill: '#334155', opacity: 0.2 }} contentStyle={{ backgroundColor: '#0f172a', color: '#f1f5f9', border: '1px solid #334155', borderRadius: '4px' }} itemStyle={{ color: '#f1f5f9' }} labelStyle={{ color: '#94a3b8' }} formatter={(v) => `${v.toFixed(1)}%`} />
+                <Legend />
+                <Bar dataKey="Deal" stackId="a" fill="#34d399" />
+                <Bar dataKey="Walked Away" stackId="a" fill="#f472b6" />
+                <Bar dataKey="Opponent Walked Away" stackId="a" fill="#c084fc" />
+                <Bar dataKey="Turn Limit" stackId="a" fill="#60a5fa" />
+                <Bar dataKey="Stalled (No Offers)" stackId="a" fill="#fbbf24" />
+                <Bar dataKey="Invalid Output" stackId="a" fill="#f87171" />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      )}
+
+      {/* 14. Auctions */}
+      {auctionData.length > 0 && (
+        <div className="bg-slate-800/50 p-6 rounded-xl border border-slate-700">
+          <h3 className="text-lg font-semibold mb-2 text-lime-400">14. Multi-Buyer Auctions</h3>
+          <p className="text-xs text-slate-400 mb-6">One seller against several buyers. Sale rate: auctions the model sold in as the seller. Win rate: auctions it won as a buyer (losing buyers score 0).</p>
+
+          <div className="overflow-x-auto">
+            <table className="w-full text-xs font-mono">
+              <thead>
+                <tr>
+                  <th className="p-2 text-left bg-slate-900/50">Model</th>
+                  <th className="p-2 bg-slate-900/50">Sale Rate (Seller)</th>
+                  <th className="p-2 bg-slate-900/50">Avg Seller Score</th>
+                  <th className="p-2 bg-slate-900/50">Win Rate (Buyer)</th>
+                  <th className="p-2 bg-slate-900/50">Avg Buyer Score</th>
+                </tr>
+              </thead>
+              <tbody>
+                {auctionData.map(row => (
+                  <tr key={row.model} className="border-t border-slate-700/50">
+                    <td className="p-2 font-bold bg-slate-900/30">{row.model}</td>
+                    <td className="p-2 text-center text-slate-300">
+                      {row.asSeller > 0 ? `${(row.sold / row.asSeller * 100).toFixed(1)}%` : 'N/A'}
+                      <span className="text-[9px] text-slate-600 block">{row.sold} / {row.asSeller} auctions</span>
+                    </td>
+                    <td className={`p-2 text-center ${row.sellerScore >= 0 ? 'text-emerald-400' : 'text-red-400'}`}>
+                      {row.asSeller > 0 ? `${(row.sellerScore / row.asSeller * 100).toFixed(1)}%` : 'N/A'}
+                    </td>
+                    <td className="p-2 text-center text-slate-300">
+                      {row.asBuyer > 0 ? `${(row.won / row.asBuyer * 100).toFixed(1)}%` : 'N/A'}
+                      <span className="text-[9px] text-slate-600 block">{row.won} / {row.asBuyer} auctions</span>
+                    </td>
+                    <td className={`p-2 text-center ${row.buyerScore >= 0 ? 'text-emerald-400' : 'text-red-400'}`}>
+                      {row.asBuyer > 0 ? `${(row.buyerScore / row.asBuyer * 100).toFixed(1)}%` : 'N/A'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* 15. Repeated Games */}
+      {seriesData.curve.length > 0 && (
+        <div className="bg-slate-800/50 p-6 rounded-xl border border-slate-700">
+          <h3 className="text-lg font-semibold mb-2 text-fuchsia-400">15. Repeated Games</h3>
+          <p className="text-xs text-slate-400 mb-6">Series where the same two models negotiate several items in a row and remember the earlier games. Left: average score by game number (does a model get exploited or build a reputation?). Right: final series totals.</p>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
+            <div className="h-64 text-xs">
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={seriesData.curve} margin={{ top: 5, right: 20, bottom: 20, left: 10 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+                  <XAxis dataKey="game" stroke="#94a3b8" label={{ value: 'Game in Series', position: 'insideBottom', offset: -10, fill: '#94a3b8' }} />
+                  <YAxis stroke="#94a3b8" unit="%" />
+                  <Tooltip contentStyle={{ backgroundColor: '#0f172a', color: '#f1f5f9', border: '1px solid #334155', borderRadius: '4px' }} itemStyle={{ color: '#f1f5f9' }} labelStyle={{ color: '#94a3b8' }} />
+                  <Legend verticalAlign="top" />
+                  <ReferenceLine y={0} stroke="#64748b" />
+                  {seriesData.models.map((model, i) => (
+                    <Line key={model} type="monotone" dataKey={model} stroke={colors[i % colors.length]} strokeWidth={2} dot connectNulls />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+
+            <div className="overflow-x-auto">
+              <table className="w-full text-xs font-mono">
+                <thead>
+                  <tr>
+                    <th className="p-2 text-left bg-slate-900/50">Model</th>
+                    <th className="p-2 bg-slate-900/50">Series</th>
+                    <th className="p-2 bg-slate-900/50">Avg Series Score</th>
+                    <th className="p-2 bg-slate-900/50">Series Won</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {seriesData.totals.map(row => (
+                    <tr key={row.model} className="border-t border-slate-700/50">
+                      <td className="p-2 font-bold bg-slate-900/30">{row.model}</td>
+                      <td className="p-2 text-center text-slate-300">{row.series}</td>
+                      <td className={`p-2 text-center ${row.total >= 0 ? 'text-emerald-400' : 'text-red-400'}`}>
+                        {(row.total / row.series * 100).toFixed(1)}%
+                      </td>
+                      <td className="p-2 text-center text-slate-300">{(row.won / row.series * 100).toFixed(0)}%</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* 16. Score Ranking with Confidence */}
+      {rankingData.length > 0 && (() => {
+        const min = Math.min(0, ...rankingData.map(r => r.ci.low));
+        const max = Math.max(0, ...rankingData.map(r => r.ci.high));
+        const position = (v) => `${((v - min) / (max - min || 1)) * 100}%`;
+        return (
+          <div className="bg-slate-800/50 p-6 rounded-xl border border-slate-700">
+            <h3 className="text-lg font-semibold mb-2 text-emerald-400">16. Score Ranking with Confidence</h3>
+            <p className="text-xs text-slate-400 mb-6">Mean score per match (both roles, no deal = 0) with its 95% bootstrap interval. p: permutation test against the next model down; ≈ marks neighbours that are statistically indistinguishable (p ≥ {ALPHA}), so their order may not hold up.</p>
+
+            <div className="overflow-x-auto">
+              <table className="w-full text-xs font-mono">
+                <thead>
+                  <tr>
+                    <th className="p-2 text-left bg-slate-900/50">#</th>
+                    <th className="p-2 text-left bg-slate-900/50">Model</th>
+                    <th className="p-2 bg-slate-900/50">Mean Score</th>
+                    <th className="p-2 bg-slate-900/50 w-1/3">95% Interval</th>
+                    <th className="p-2 bg-slate-900/50">Games</th>
+                    <th className="p-2 bg-slate-900/50">vs Next</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rankingData.map((row, i) => (
+                    <tr key={row.model} className="border-t border-slate-700/50">
+                      <td className="p-2 text-slate-500">{i + 1}</td>
+                      <td className="p-2 font-bold bg-slate-900/30">{row.model}</td>
+                      <td className={`p-2 text-center ${row.ci.mean >= 0 ? 'text-emerald-400' : 'text-red-400'}`}>
+                        {(row.ci.mean * 100).toFixed(1)}%
+                      </td>
+                      <td className="p-2">
+                        <div className="relative h-3 bg-slate-900/60 rounded" title={`${(row.ci.low * 100).toFixed(1)}% to ${(row.ci.high * 100).toFixed(1)}%`}>
+                          <div className="absolute h-3 w-px bg-slate-500" style={{ left: position(0) }} />
+                          <div
+                            className="absolute h-3 bg-emerald-500/30 rounded"
+                            style={{ left: position(row.ci.low), width: `calc(${position(row.ci.high)} - ${position(row.ci.low)})` }}
+                          />
+                          <div className="absolute h-3 w-0.5 bg-emerald-300" style={{ left: position(row.ci.mean) }} />
+                        </div>
+                      </td>
+                      <td className="p-2 text-center text-slate-300">{row.ci.n}</td>
+                      <td className={`p-2 text-center ${row.pNext !== null && row.pNext >= ALPHA ? 'text-slate-500' : 'text-slate-300'}`}>
+                        {row.pNext === null ? '-' : `${row.pNext >= ALPHA ? '≈ ' : ''}p=${row.pNext < 0.001 ? '<0.001' : row.pNext.toFixed(3)}`}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        );
+      })()}
     </div>
   );
 }
@@ -0,0 +1,169 @@
+import { RefreshCw, Trophy } from 'lucide-react';
+import { useEffect, useState } from 'react';
+
+// Ratings come from the server (/api/ratings), which replays every stored run on each request
+const SORTS = {
+  overall: { label: 'Overall', pick: (m) => m },
+  seller: { label: 'As Seller', pick: (m) => m.roles.seller },
+  buyer: { label: 'As Buyer', pick: (m) => m.roles.buyer },
+};
+
+export function Leaderboard() {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [includeMock, setIncludeMock] = useState(false);
+  const [sortBy, setSortBy] = useState('overall');
+
+  const loadRatings = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await fetch(`/api/ratings?mock=${includeMock}`);
+      if (!res.ok) throw new Error(`Server returned ${res.status}`);
+      setData(await res.json());
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadRatings();
+  }, [includeMock]);
+
+  if (loading && !data) {
+    return (
+      <div className="flex flex-col items-center justify-center min-h-[50vh] text-slate-400">
+        <RefreshCw className="w-8 h-8 animate-spin mb-4 text-emerald-500" />
+        <p>Computing ratings...</p>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="p-8 text-center text-red-400 bg-red-900/10 border border-red-900 rounded">
+        Error loading ratings: {error}. Is the server running?
+        <button onClick={loadRatings} className="block mx-auto mt-4 px-4 py-2 bg-slate-800 rounded hover:bg-slate-700 text-white">Retry</button>
+      </div>
+    );
+  }
+
+  const { pick } = SORTS[sortBy];
+  const models = data.models
+    .filter(m => pick(m))
+    .sort((a, b) => pick(b).rating - pick(a).rating);
+  // Shared scale for the interval bars
+  const lows = models.map(m => pick(m).interval[0]);
+  const highs = models.map(m => pick(m).interval[1]);
+  const min = Math.min(...lows);
+  const max = Math.max(...highs);
+  const position = (value) => `${((value - min) / (max - min || 1)) * 100}%`;
+
+  return (
+    <div className="space-y-6 animate-in fade-in duration-500 pb-20">
+      <div className="flex items-center gap-4 mb-6 py-4 border-b border-slate-800">
+        <div>
+          <h2 className="text-2xl font-bold flex items-center gap-2">
+            <Trophy className="w-6 h-6 text-amber-400" />
+            Leaderboard
+          </h2>
+          <span className="text-sm text-slate-500 font-mono">
+            Glicko ratings from {data.runs} one-on-one runs, in date order
+          </span>
+        </div>
+        <div className="ml-auto flex items-center gap-4">
+          <div className="flex gap-1">
+            {Object.entries(SORTS).map(([key, { label }]) => (
+              <button
+                key={key}
+                onClick={() => setSortBy(key)}
+                className={`text-xs px-2 py-1 rounded border ${sortBy === key ? 'bg-slate-700 border-emerald-500 text-white' : 'bg-transparent border-slate-700 text-slate-400 hover:border-slate-500'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <label className="flex items-center gap-2 text-xs text-slate-400 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={includeMock}
+              onChange={() => setIncludeMock(v => !v)}
+              className="rounded border-slate-600 bg-slate-700 text-emerald-500 focus:ring-emerald-500/50"
+            />
+            Include mock runs
+          </label>
+          <button onClick={loadRatings} className="text-xs text-blue-400 hover:underline">
+            Recompute
+          </button>
+        </div>
+      </div>
+
+      <p className="text-xs text-slate-400">
+        Each match is a game won by the side with the higher score (within 1% is a draw), so beating strong opponents counts for more.
+        The bar shows the 95% interval (rating ± 1.96 RD); overlapping bars mean the ranking between those models is not settled yet.
+        Seller and buyer ratings pit each model's seller against the other models' buyers.
+      </p>
+
+      {models.length === 0 ? (
+        <div className="p-10 border border-dashed border-slate-700 rounded text-center text-slate-500">
+          No rated runs yet.
+        </div>
+      ) : (
+        <div className="bg-slate-800/50 p-6 rounded-xl border border-slate-700 overflow-x-auto">
+          <table className="w-full text-xs font-mono">
+            <thead>
+              <tr className="text-slate-500">
+                <th className="p-2 text-left bg-slate-900/50">#</th>
+                <th className="p-2 text-left bg-slate-900/50">Model</th>
+                <th className="p-2 bg-slate-900/50">Rating</th>
+                <th className="p-2 bg-slate-900/50 w-1/4">95% Interval</th>
+                <th className="p-2 bg-slate-900/50">Games</th>
+                <th className="p-2 bg-slate-900/50">W / D / L</th>
+                <th className="p-2 bg-slate-900/50">As Seller</th>
+                <th className="p-2 bg-slate-900/50">As Buyer</th>
+              </tr>
+            </thead>
+            <tbody>
+              {models.map((m, i) => {
+                const r = pick(m);
+                return (
+                  <tr key={m.model} className="border-t border-slate-700/50">
+                    <td className="p-2 text-slate-500">{i + 1}</td>
+                    <td className="p-2">
+                      <div className="font-bold text-slate-200">{m.name || m.model}</div>
+                      <div className="text-[10px] text-slate-500">{m.model}</div>
+                    </td>
+                    <td className="p-2 text-center text-slate-200 font-bold">
+                      {r.rating}
+                      <span className="text-slate-500 font-normal"> ±{r.rd}</span>
+                    </td>
+                    <td className="p-2">
+                      <div className="relative h-3 bg-slate-900/60 rounded" title={`${r.interval[0]} – ${r.interval[1]}`}>
+                        <div
+                          className="absolute h-3 bg-emerald-500/30 rounded"
+                          style={{ left: position(r.interval[0]), width: `calc(${position(r.interval[1])} - ${position(r.interval[0])})` }}
+                        />
+                        <div className="absolute h-3 w-0.5 bg-emerald-300" style={{ left: position(r.rating) }} />
+                      </div>
+                    </td>
+                    <td className="p-2 text-center text-slate-300">{r.games}</td>
+                    <td className="p-2 text-center text-slate-400">{r.wins} / {r.draws} / {r.losses}</td>
+                    <td className="p-2 text-center text-orange-300">
+                      {m.roles.seller ? <>{m.roles.seller.rating}<span className="text-slate-500"> ±{m.roles.seller.rd}</span></> : 'N/A'}
+                    </td>
+                    <td className="p-2 text-center text-blue-300">
+                      {m.roles.buyer ? <>{m.roles.buyer.rating}<span className="text-slate-500"> ±{m.roles.buyer.rd}</span></> : 'N/A'}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,157 @@
+import { ListOrdered, RefreshCw, RotateCcw } from 'lucide-react';
+import { useEffect, useState } from 'react';
+
+// Tournament records come from the server (/api/tournaments), one per saved tournament plan
+const STATUS_STYLES = {
+  completed: 'bg-emerald-900/30 text-emerald-300 border-emerald-800',
+  completed_with_errors: 'bg-amber-900/30 text-amber-300 border-amber-800',
+  running: 'bg-blue-900/30 text-blue-300 border-blue-800',
+  stopped: 'bg-amber-900/30 text-amber-300 border-amber-800',
+  budget_terminated: 'bg-red-900/30 text-red-300 border-red-800',
+};
+
+const pct = (score) => `${score >= 0 ? '+' : ''}${(score * 100).toFixed(1)}%`;
+const cost = (costUsd, unpriced) => (costUsd === null ? 'unpriced' : `$${costUsd.toFixed(4)}${unpriced ? ' + unpriced' : ''}`);
+
+export function Tournaments({ onShowRuns, onRerun }) {
+  const [tournaments, setTournaments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadTournaments = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await fetch('/api/tournaments');
+      if (!res.ok) throw new Error(`Server returned ${res.status}`);
+      setTournaments(await res.json());
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadTournaments();
+  }, []);
+
+  if (loading && tournaments.length === 0) {
+    return (
+      <div className="flex flex-col items-center justify-center min-h-[50vh] text-slate-400">
+        <RefreshCw className="w-8 h-8 animate-spin mb-4 text-emerald-500" />
+        <p>Loading tournaments...</p>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="p-8 text-center text-red-400 bg-red-900/10 border border-red-900 rounded">
+        Error loading tournaments: {error}. Is the server running?
+        <button onClick={loadTournaments} className="block mx-auto mt-4 px-4 py-2 bg-slate-800 rounded hover:bg-slate-700 text-white">Retry</button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6 animate-in fade-in duration-500 pb-20">
+      <div className="flex items-center gap-4 mb-6 py-4 border-b border-slate-800">
+        <div>
+          <h2 className="text-2xl font-bold flex items-center gap-2">
+            <ListOrdered className="w-6 h-6 text-emerald-400" />
+            Tournaments
+          </h2>
+          <span className="text-sm text-slate-500 font-mono">
+            {tournaments.length} recorded tournaments, newest first
+          </span>
+        </div>
+        <button onClick={loadTournaments} className="ml-auto text-xs text-blue-400 hover:underline">
+          Refresh
+        </button>
+      </div>
+
+      {tournaments.length === 0 ? (
+        <div className="p-10 border border-dashed border-slate-700 rounded text-center text-slate-500">
+          No tournament records yet. Tournaments started from now on are recorded here.
+        </div>
+      ) : (
+        <div className="grid gap-4">
+          {tournaments.map(t => {
+            const { progress, stats, options } = t;
+            const leader = stats.averageScores[0];
+            return (
+              <div key={t.id} className="bg-slate-800/50 border border-slate-700 p-4 rounded-lg">
+                <div className="flex justify-between items-start gap-4">
+                  <div className="min-w-0">
+                    <div className="flex items-center gap-2">
+                      <span className="font-bold text-slate-200 truncate">{t.tournament}</span>
+                      <span className={`text-[10px] px-1.5 py-0.5 rounded border ${STATUS_STYLES[t.status] || 'border-slate-700 text-slate-400'}`}>
+                        {t.status.replace(/_/g, ' ')}
+                      </span>
+                    </div>
+                    <div className="text-xs text-slate-500 font-mono mt-1">
+                      #{t.id} · started {new Date(t.createdAt).toLocaleString()}
+                      {t.finishedAt && <> · finished {new Date(t.finishedAt).toLocaleString()}</>}
+                      {t.rerunOf && <> · re-run of #{t.rerunOf}</>}
+                    </div>
+                  </div>
+                  <div className="flex gap-2 shrink-0">
+                    <button
+                      onClick={() => onShowRuns(t.tournament)}
+                      className="text-xs px-3 py-1.5 rounded border border-slate-700 text-slate-300 hover:border-slate-500"
+                    >
+                      Show Runs
+                    </button>
+                    <button
+                      onClick={() => onRerun(t.id)}
+                      className="flex items-center gap-1 text-xs px-3 py-1.5 rounded bg-emerald-700 hover:bg-emerald-600 text-white"
+                      title="Play this tournament again as a new one with the same models, seed, settings and scenarios"
+                    >
+                      <RotateCcw className="w-3 h-3" />
+                      Re-run
+                    </button>
+                  </div>
+                </div>
+
+                <div className="grid md:grid-cols-2 gap-4 mt-3 text-xs">
+                  <div className="space-y-1 text-slate-400">
+                    <div><span className="text-slate-500">Models:</span> {options.models.join(', ')}</div>
+                    <div>
+                      <span className="text-slate-500">Rounds:</span> {options.rounds}
+                      {' · '}<span className="text-slate-500">Seed:</span> {t.seed}
+                      {' · '}<span className="text-slate-500">Prompt:</span> v{t.promptVersion}
+                      {' · '}<span className="text-slate-500">Format:</span> {options.format}
+                      {options.series && <> (series of {options.series})</>}
+                    </div>
+                    <div className="truncate" title={t.scenarioIds.join(', ')}>
+                      <span className="text-slate-500">Scenarios ({t.scenarioIds.length}):</span> {t.scenarioIds.join(', ')}
+                    </div>
+                  </div>
+                  <div className="space-y-1 text-slate-400 font-mono">
+                    <div>
+                      {progress.completed}/{progress.total} matches done
+                      {progress.pending > 0 && <span className="text-amber-400"> · {progress.pending} pending</span>}
+                      {progress.errored > 0 && <span className="text-red-400"> · {progress.errored} errored</span>}
+                    </div>
+                    <div>
+                      Deals: {stats.deals}/{stats.matches}
+                      {stats.matches > 0 && <> ({((stats.deals / stats.matches) * 100).toFixed(0)}%)</>}
+                      {' · '}Cost: {cost(stats.costUsd, stats.unpriced)}
+                    </div>
+                    {leader && (
+                      <div>
+                        Best average score: <span className="text-emerald-300">{leader.model}</span> {pct(leader.score)}
+                        <span className="text-slate-500"> over {leader.matches} matches</span>
+                      </div>
+                    )}
+                  </div>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,96 @@
+import { createRng } from '../server/rng.js';
+
+// Resampling statistics for the analytics page. Everything is seeded, so the intervals
+// and p-values do not jump around between renders of the same data.
+
+const ITERATIONS = 2000;
+export const ALPHA = 0.05; // Significance level for the "indistinguishable" markers
+
+const mean = (values) => values.reduce((s, v) => s + v, 0) / values.length;
+
+// Percentile of an already sorted array (linear interpolation)
+function percentile(sorted, p) {
+  const index = (sorted.length - 1) * p;
+  const low = Math.floor(index);
+  const high = Math.ceil(index);
+  return sorted[low] + (sorted[high] - sorted[low]) * (index - low);
+}
+
+/**
+ * Percentile bootstrap confidence interval of the mean.
+ * @param {number[]} values
+ * @param {{ level?: number, seed?: number }} options
+ * @returns {{ mean: number, low: number, high: number, n: number } | null} null for no data;
+ *   with a single value the interval collapses onto it
+ */
+export function bootstrapCI(values, { level = 0.95, seed = 1 } = {}) {
+  if (values.length === 0) return null;
+  const m = mean(values);
+  if (values.length === 1) return { mean: m, low: m, high: m, n: 1 };
+  const rng = createRng(seed);
+  const means = [];
+  for (let i = 0; i < ITERATIONS; i++) {
+    let sum = 0;
+    for (let j = 0; j < values.length; j++) sum += values[Math.floor(rng() * values.length)];
+    means.push(sum / values.length);
+  }
+  means.sort((a, b) => a - b);
+  return { mean: m, low: percentile(means, (1 - level) / 2), high: percentile(means, 1 - (1 - level) / 2), n: values.length };
+}
+
+/**
+ * Two-sided paired permutation (sign-flip) test of a zero mean difference, e.g. over the
+ * score differences of role-swapped pairs. Exact for up to 12 pairs, sampled above that.
+ * @param {number[]} diffs
+ * @returns {number | null} p-value, null without data
+ */
+export function pairedPermutationTest(diffs, { seed = 1 } = {}) {
+  const n = diffs.length;
+  if (n === 0) return null;
+  const observed = Math.abs(mean(diffs));
+  const eps = 1e-12; // Float noise must not turn a tie into a miss
+  let extreme = 0;
+  let total = 0;
+  const count = (signs) => {
+    let sum = 0;
+    for (let j = 0; j < n; j++) sum += signs(j) * diffs[j];
+    total++;
+    if (Math.abs(sum / n) >= observed - eps) extreme++;
+  };
+  if (n <= 12) {
+    for (let mask = 0; mask < 1 << n; mask++) count(j => (mask >> j) & 1 ? -1 : 1);
+  } else {
+    const rng = createRng(seed);
+    for (let i = 0; i < ITERATIONS; i++) count(() => (rng() < 0.5 ? -1 : 1));
+    // The enumeration above includes the observed signs; a sample has to add them
+    return (extreme + 1) / (total + 1);
+  }
+  return extreme / total;
+}
+
+/**
+ * Two-sided permutation test of equal means for two independent samples, e.g. the match
+ * scores of two models.
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number | null} p-value, null when either sample is empty
+ */
+export function permutationTest(a, b, { seed = 1 } = {}) {
+  if (a.length === 0 || b.length === 0) return null;
+  const pooled = [...a, ...b];
+  const observed = Math.abs(mean(a) - mean(b));
+  const rng = createRng(seed);
+  let extreme = 0;
+  for (let i = 0; i < ITERATIONS; i++) {
+    // Partial Fisher-Yates: only the first a.length slots need shuffling
+    for (let j = 0; j < a.length; j++) {
+      const k = j + Math.floor(rng() * (pooled.length - j));
+      [pooled[j], pooled[k]] = [pooled[k], pooled[j]];
+    }
+    const meanA = mean(pooled.slice(0, a.length));
+    const meanB = mean(pooled.slice(a.length));
+    if (Math.abs(meanA - meanB) >= observed - 1e-12) extreme++;
+  }
+  // Counting the observed split itself keeps the p-value away from an impossible 0
+  return (extreme + 1) / (ITERATIONS + 1);
+}
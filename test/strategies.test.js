@@ -0,0 +1,33 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { decide } from "../server/strategies.js";
+
+const rng = () => 0.5;
+
+// Seller tit-for-tat after its opening, its first counter-offer and two buyer offers
+const sellerState = (buyerOffers) => ({
+  role: "seller",
+  privateEstimate: 1000,
+  turn: 5,
+  maxTurns: 12,
+  lastOffer: buyerOffers[1],
+  lastOfferBy: "buyer",
+  offers: [
+    { role: "seller", offer: 1300 },
+    { role: "buyer", offer: buyerOffers[0] },
+    { role: "seller", offer: 1270 },
+    { role: "buyer", offer: buyerOffers[1] },
+  ],
+});
+
+test("tit-for-tat matches the opponent's concession", () => {
+  const move = decide("titfortat", sellerState([900, 1000]), rng);
+  assert.equal(move.deal, false);
+  assert.equal(move.offer, 1170);
+});
+
+test("tit-for-tat does not concede when the opponent retracts", () => {
+  const move = decide("titfortat", sellerState([1000, 900]), rng);
+  assert.equal(move.deal, false);
+  assert.equal(move.offer, 1270);
+});